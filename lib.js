@@ -1,5 +1,8 @@
+import { FSRSAlgorithm, clipParameters, createEmptyCard, dateDiffInDays, default_w, get_fuzz_range } from 'ts-fsrs';
+
 // ─── Constants ──────────────────────────────────────────────────────────────
 export const SEPARATOR = '::';
+export const BIDI_SEPARATOR = ':::';
 export const META_PREFIX = 'fc_';
 
 // Meta property keys stored on each flashcard line item
@@ -14,8 +17,45 @@ export const META = {
 	elapsed_days:   META_PREFIX + 'elapsed_days',
 	scheduled_days: META_PREFIX + 'scheduled_days',
 	learning_steps: META_PREFIX + 'learning_steps',
+	log:            META_PREFIX + 'log',
+	suspended:      META_PREFIX + 'suspended',
+	buried:         META_PREFIX + 'buried',
+	flag:           META_PREFIX + 'flag',
+	leech:          META_PREFIX + 'leech',
+	hash:           META_PREFIX + 'hash',
+};
+
+// Meta keys for image occlusion regions, stored on the image line item
+export const OCCLUSION_META = {
+	rects: META_PREFIX + 'io_rects',
+	mode:  META_PREFIX + 'io_mode',
 };
 
+// Line item types whose content is a file rather than text
+export const MEDIA_TYPES = ['image', 'file', 'media'];
+
+// Cloze deletion marker: {{c1::text}} or {{c1::text::hint}}
+export const CLOZE_RE = /\{\{c(\d+)::([\s\S]*?)(?:::([\s\S]*?))?\}\}/g;
+
+/**
+ * Build the meta property keys for a card variant. Each card stored on a line
+ * item gets its own namespaced set of keys so that one line can carry several
+ * independent FSRS schedules (e.g. one per cloze number).
+ * An empty variant returns the plain `META` keys.
+ * @param {string} [variant] - e.g. "c1"
+ * @returns {typeof META}
+ */
+export function metaKeys(variant) {
+	if (!variant) return META;
+	const prefix = META_PREFIX + variant + '_';
+	/** @type {Record<string, string>} */
+	const keys = {};
+	for (const key of Object.keys(META)) {
+		keys[key] = prefix + key;
+	}
+	return /** @type {typeof META} */ (keys);
+}
+
 // ─── Helpers ────────────────────────────────────────────────────────────────
 
 /**
@@ -29,38 +69,141 @@ export function segmentsToText(segments) {
 }
 
 /**
- * Recursively gather text from a line item's children.
- * Returns an array of { text, depth } objects preserving nesting.
+ * @typedef {{ kind: string, url: string | null, name: string, mime: string | null }} CardMedia
+ */
+
+/**
+ * Extract displayable media info from an image, file or media line item.
+ * Returns null for any other line item type. Small images can be inlined as
+ * a data URL in `imgData`; files kept in a Blob (referenced by `guid`) have
+ * no URL plugins can read, so they get `url: null` and show as a label.
+ * @param {PluginLineItem} lineItem
+ * @returns {CardMedia | null}
+ */
+export function lineItemMedia(lineItem) {
+	if (!MEDIA_TYPES.includes(lineItem.type)) return null;
+	const p = lineItem.props || {};
+	const inline = typeof p.imgData === 'string' && p.imgData.startsWith('data:') ? p.imgData : null;
+	return {
+		kind: lineItem.type,
+		url: p.url || p.imgUrl || p.src || inline,
+		name: p.name || p.filename || segmentsToText(lineItem.segments).trim(),
+		mime: p.mime || p.mimetype || null,
+	};
+}
+
+/**
+ * Plain-text label for a media item, e.g. "[Image: heart.png]".
+ * @param {CardMedia} media
+ * @returns {string}
+ */
+export function mediaLabel(media) {
+	const kind = media.kind.charAt(0).toUpperCase() + media.kind.slice(1);
+	return media.name ? `[${kind}: ${media.name}]` : `[${kind}]`;
+}
+
+/**
+ * Recursively gather a line item's children along with their segments.
+ * Image, file and media children are included with a `media` descriptor and
+ * a placeholder label as their text.
+ * Returns an array of { text, segments, media, depth } objects preserving nesting.
  * @param {PluginLineItem} lineItem
  * @param {number} depth
- * @returns {{ text: string, depth: number }[]}
+ * @returns {{ text: string, segments?: PluginLineItemSegment[], media?: CardMedia, depth: number }[]}
  */
-export function gatherChildrenText(lineItem, depth = 0) {
+export function gatherChildren(lineItem, depth = 0) {
 	const lines = [];
 	for (const child of (lineItem.children || [])) {
+		const media = lineItemMedia(child);
 		const text = segmentsToText(child.segments).trim();
-		if (text) {
-			lines.push({ text, depth });
+		if (media) {
+			lines.push({ text: mediaLabel(media), media, depth });
+		} else if (text) {
+			lines.push({ text, segments: trimSegments(child.segments), depth });
 		}
-		lines.push(...gatherChildrenText(child, depth + 1));
+		lines.push(...gatherChildren(child, depth + 1));
 	}
 	return lines;
 }
 
+/**
+ * Recursively gather text from a line item's children.
+ * Returns an array of { text, depth } objects preserving nesting.
+ * @param {PluginLineItem} lineItem
+ * @param {number} depth
+ * @returns {{ text: string, depth: number }[]}
+ */
+export function gatherChildrenText(lineItem, depth = 0) {
+	return gatherChildren(lineItem, depth).map(({ text, depth }) => ({ text, depth }));
+}
+
+/**
+ * Trim whitespace from the outer edges of a segment list. Whitespace-only
+ * text segments at either end are dropped. Segments are copied, not mutated.
+ * @param {PluginLineItemSegment[]} segments
+ * @returns {PluginLineItemSegment[]}
+ */
+export function trimSegments(segments) {
+	const out = (segments || []).map(s => ({ ...s }));
+	const isBlankText = (/** @type {PluginLineItemSegment} */ s) => s.type === 'text' && !(s.text || '').trim();
+
+	while (out.length && isBlankText(out[0])) out.shift();
+	while (out.length && isBlankText(out[out.length - 1])) out.pop();
+
+	const first = out[0];
+	const last = out[out.length - 1];
+	if (first && first.type === 'text') first.text = first.text.trimStart();
+	if (last && last.type === 'text') last.text = last.text.trimEnd();
+	return out;
+}
+
+/**
+ * Split segments at the first occurrence of a separator in their joined
+ * text. A segment spanning the separator is cut in two, keeping its type on
+ * both sides. Both halves are trimmed. Returns null if there is no separator.
+ * @param {PluginLineItemSegment[]} segments
+ * @param {string} separator
+ * @returns {{ before: PluginLineItemSegment[], after: PluginLineItemSegment[] } | null}
+ */
+export function splitSegments(segments, separator) {
+	const idx = segmentsToText(segments).indexOf(separator);
+	if (idx === -1) return null;
+	const sepEnd = idx + separator.length;
+
+	const before = [];
+	const after = [];
+	let offset = 0;
+	for (const seg of segments) {
+		const text = seg.text || '';
+		const start = offset;
+		const end = offset + text.length;
+		offset = end;
+
+		if (!text) {
+			(start <= idx ? before : after).push({ ...seg });
+			continue;
+		}
+		if (start < idx) before.push({ ...seg, text: text.slice(0, idx - start) });
+		if (end > sepEnd) after.push({ ...seg, text: text.slice(Math.max(0, sepEnd - start)) });
+	}
+	return { before: trimSegments(before), after: trimSegments(after) };
+}
+
 /**
  * Try to parse a flashcard from a line item's text.
  * Children of the line item are gathered as additional answer content.
  * Returns { question, answer, answerLines } or null.
  * @param {PluginLineItem} lineItem
+ * @param {string} [separator=SEPARATOR]
  * @returns {{ question: string, answer: string, answerLines: { text: string, depth: number, inline?: boolean }[] } | null}
  */
-export function parseFlashcard(lineItem) {
+export function parseFlashcard(lineItem, separator = SEPARATOR) {
 	const text = segmentsToText(lineItem.segments);
-	const idx = text.indexOf(SEPARATOR);
+	const idx = text.indexOf(separator);
 	if (idx === -1) return null;
 
 	const question = text.slice(0, idx).trim();
-	const inlineAnswer = text.slice(idx + SEPARATOR.length).trim();
+	const inlineAnswer = text.slice(idx + separator.length).trim();
 
 	// Gather children as additional answer lines
 	const childLines = gatherChildrenText(lineItem);
@@ -81,6 +224,215 @@ export function parseFlashcard(lineItem) {
 	return { question, answer, answerLines };
 }
 
+/**
+ * Check whether text contains at least one cloze marker.
+ * @param {string} text
+ * @returns {boolean}
+ */
+export function hasCloze(text) {
+	return new RegExp(CLOZE_RE.source).test(text);
+}
+
+/**
+ * Split text into plain parts and cloze parts.
+ * @param {string} text
+ * @returns {{ text: string, cloze?: number, hint?: string }[]}
+ */
+export function parseClozeParts(text) {
+	const parts = [];
+	const re = new RegExp(CLOZE_RE.source, 'g');
+	let last = 0;
+	let m;
+	while ((m = re.exec(text)) !== null) {
+		if (m.index > last) parts.push({ text: text.slice(last, m.index) });
+		/** @type {{ text: string, cloze: number, hint?: string }} */
+		const part = { text: m[2], cloze: Number(m[1]) };
+		if (m[3]) part.hint = m[3];
+		parts.push(part);
+		last = m.index + m[0].length;
+	}
+	if (last < text.length) parts.push({ text: text.slice(last) });
+	return parts;
+}
+
+/**
+ * Render cloze parts as plain text. The active cloze is blanked out as
+ * `[…]` (or `[hint]`) unless revealed; all other clozes show their text.
+ * @param {{ text: string, cloze?: number, hint?: string }[]} parts
+ * @param {number} active - cloze number being asked
+ * @param {boolean} [revealed=false]
+ * @returns {string}
+ */
+export function clozeToText(parts, active, revealed) {
+	return parts.map(p => {
+		if (p.cloze !== active || revealed) return p.text;
+		return `[${p.hint || '…'}]`;
+	}).join('');
+}
+
+/**
+ * @typedef {{ id: number, x: number, y: number, w: number, h: number, label?: string }} OcclusionRect
+ */
+
+/**
+ * Read the image occlusion regions stored on a line item. Geometry is kept
+ * as fractions (0–1) of the image size. Malformed entries are dropped.
+ * `mode` is "one" (hide only the asked region) or "all" (hide every region).
+ * @param {PluginLineItem} lineItem
+ * @returns {{ mode: 'one' | 'all', rects: OcclusionRect[] }}
+ */
+export function parseOcclusions(lineItem) {
+	const p = lineItem.props || {};
+	const mode = p[OCCLUSION_META.mode] === 'all' ? 'all' : 'one';
+
+	let raw;
+	try {
+		raw = JSON.parse(p[OCCLUSION_META.rects] || '[]');
+	} catch {
+		raw = [];
+	}
+	if (!Array.isArray(raw)) raw = [];
+
+	const clamp01 = (/** @type {number} */ n) => Math.min(1, Math.max(0, n));
+	/** @type {OcclusionRect[]} */
+	const rects = [];
+	for (const r of raw) {
+		if (!r || !Number.isInteger(r.id)) continue;
+		const nums = [r.x, r.y, r.w, r.h].map(Number);
+		if (nums.some(n => !Number.isFinite(n))) continue;
+		const [x, y, w, h] = nums.map(clamp01);
+		if (w <= 0 || h <= 0) continue;
+		/** @type {OcclusionRect} */
+		const rect = { id: r.id, x, y, w, h };
+		if (typeof r.label === 'string' && r.label.trim()) rect.label = r.label.trim();
+		rects.push(rect);
+	}
+	return { mode, rects };
+}
+
+/**
+ * Card variant for an image occlusion region.
+ * @param {number} id - region id
+ * @returns {string}
+ */
+export function occlusionVariant(id) {
+	return 'o' + id;
+}
+
+/**
+ * Parse all cards stored on a line item. A `Question :: Answer` line yields a
+ * single card; a `Front ::: Back` line yields a forward and a reverse card;
+ * a line with cloze markers yields one card per cloze number; an image with
+ * occlusion regions yields one card per region.
+ * Each card carries the `variant` and `keys` under which its FSRS meta lives.
+ * @param {PluginLineItem} lineItem
+ * @returns {{ variant: string, keys: typeof META, question: string, questionSegments?: PluginLineItemSegment[], questionMedia?: CardMedia, answer: string, answerLines: { text: string, segments?: PluginLineItemSegment[], media?: CardMedia, depth: number, inline?: boolean }[], reverse?: boolean, occlusion?: { media: CardMedia, mode: 'one' | 'all', rects: OcclusionRect[], active: number }, cloze?: { number: number, parts: { text: string, cloze?: number, hint?: string }[] } }[]}
+ */
+export function parseCards(lineItem) {
+	const text = segmentsToText(lineItem.segments);
+
+	const media = lineItemMedia(lineItem);
+	if (media && media.kind === 'image') {
+		const { mode, rects } = parseOcclusions(lineItem);
+		if (rects.length > 0) {
+			return rects.map(rect => {
+				const variant = occlusionVariant(rect.id);
+				const answer = rect.label || `Region ${rect.id}`;
+				return {
+					variant,
+					keys: metaKeys(variant),
+					question: `${mediaLabel(media)} — region ${rect.id}`,
+					answer,
+					answerLines: [{ text: answer, segments: [{ type: 'text', text: answer }], depth: 0, inline: true }],
+					occlusion: { media, mode, rects, active: rect.id },
+				};
+			});
+		}
+	}
+
+	if (hasCloze(text)) {
+		const parts = parseClozeParts(text.trim());
+		const childLines = gatherChildren(lineItem);
+		const numbers = [...new Set(parts.filter(p => p.cloze != null).map(p => /** @type {number} */ (p.cloze)))];
+		numbers.sort((a, b) => a - b);
+
+		return numbers.map(n => {
+			const answer = parts.filter(p => p.cloze === n).map(p => p.text).join(', ');
+			const variant = 'c' + n;
+			return {
+				variant,
+				keys: metaKeys(variant),
+				question: clozeToText(parts, n),
+				answer,
+				answerLines: [{ text: answer, segments: [{ type: 'text', text: answer }], depth: 0, inline: true }, ...childLines],
+				cloze: { number: n, parts },
+			};
+		});
+	}
+
+	if (text.includes(BIDI_SEPARATOR)) {
+		const fc = parseFlashcard(lineItem, BIDI_SEPARATOR);
+		if (!fc) return [];
+		const forward = withSegments(fc, lineItem, BIDI_SEPARATOR);
+		const cards = [{ variant: '', keys: META, ...forward }];
+
+		// The reverse card needs an inline answer to ask about; children stay
+		// with the forward card since they elaborate on the back.
+		const inline = forward.answerLines.find(l => l.inline);
+		if (inline) {
+			cards.push({
+				variant: 'r',
+				keys: metaKeys('r'),
+				question: inline.text,
+				questionSegments: inline.segments,
+				answer: fc.question,
+				answerLines: [
+					{ text: fc.question, segments: forward.questionSegments, depth: 0, inline: true },
+					// The image of an image-caption card is part of its front
+					...(forward.questionMedia ? [{ text: mediaLabel(forward.questionMedia), media: forward.questionMedia, depth: 0 }] : []),
+				],
+				reverse: true,
+			});
+		}
+		return cards;
+	}
+
+	const fc = parseFlashcard(lineItem);
+	if (!fc) return [];
+	return [{ variant: '', keys: META, ...withSegments(fc, lineItem, SEPARATOR) }];
+}
+
+/**
+ * Attach the source segments to a parsed flashcard so that card faces can
+ * be rendered with their original formatting: `questionSegments` for the
+ * question and `segments` on every answer line.
+ * @param {{ question: string, answer: string, answerLines: { text: string, depth: number, inline?: boolean }[] }} fc
+ * @param {PluginLineItem} lineItem
+ * @param {string} separator
+ */
+function withSegments(fc, lineItem, separator) {
+	const split = splitSegments(lineItem.segments, separator) || { before: [], after: [] };
+	const childLines = gatherChildren(lineItem);
+	const extras = fc.answerLines[0]?.inline
+		? [{ segments: split.after }, ...childLines]
+		: childLines;
+
+	/** @type {{ questionSegments: PluginLineItemSegment[], questionMedia?: CardMedia }} */
+	const rich = { questionSegments: split.before };
+	// An image/media line with a `Q :: A` caption shows its file with the question
+	const media = lineItemMedia(lineItem);
+	if (media) rich.questionMedia = media;
+
+	return {
+		...fc,
+		...rich,
+		answerLines: fc.answerLines.map((l, i) => {
+			const { segments, media } = extras[i];
+			return media ? { ...l, media } : { ...l, segments };
+		}),
+	};
+}
+
 /**
  * Check whether a line item is nested under another line that contains the
  * `::` separator (i.e. it is a descendant of a flashcard line and should not
@@ -103,10 +455,67 @@ export function isNestedUnderSeparator(lineItem, byGuid) {
 /**
  * Check whether a line item already has FSRS metadata.
  * @param {PluginLineItem} lineItem
+ * @param {typeof META} [keys=META] - meta keys of the card variant
  * @returns {boolean}
  */
-export function hasCardMeta(lineItem) {
-	return lineItem.props && lineItem.props[META.due] != null;
+export function hasCardMeta(lineItem, keys = META) {
+	return lineItem.props && lineItem.props[keys.due] != null;
+}
+
+/**
+ * Cards on indexed flashcard lines that have no FSRS metadata yet, leaving
+ * out notes and lines that opted out of automatic detection.
+ * @template {{ keys: typeof META }} T
+ * @param {Iterable<{ lineItem: PluginLineItem, record: { guid: string }, cards: T[] }>} lines
+ * @param {Set<string>} [excluded] - record guids
+ * @param {Set<string>} [excludedLines] - line item guids
+ * @returns {{ lineItem: PluginLineItem, fc: T }[]}
+ */
+export function untrackedCards(lines, excluded = new Set(), excludedLines = new Set()) {
+	const untracked = [];
+	for (const { lineItem, record, cards } of lines) {
+		if (excluded.has(record.guid) || excludedLines.has(lineItem.guid)) continue;
+		for (const fc of cards) {
+			if (!hasCardMeta(lineItem, fc.keys)) untracked.push({ lineItem, fc });
+		}
+	}
+	return untracked;
+}
+
+/**
+ * A stamp of every line in a note and when it was last edited. A card's
+ * back (its child lines) and breadcrumb (its parent lines) don't contain the
+ * separator, so only a note whose stamp is unchanged is known to still have
+ * the same cards.
+ * @param {{ guid: string, updatedAt: number }[]} lines - in note order
+ * @returns {string}
+ */
+export function noteStamp(lines) {
+	return lines.map(l => `${l.guid}@${l.updatedAt}`).join(',');
+}
+
+/**
+ * Notes whose card lines need reading again to bring a card index up to
+ * date, given the lines a search for the separator found: notes with new or
+ * edited lines, and notes whose separator lines were no longer found
+ * (deleted, or the separator removed). Lines that can't be searched for,
+ * such as image occlusions, are only refreshed with their note.
+ * @param {Map<string, { recordGuid: string, updatedAt: number, searchable: boolean }>} indexed - by line item guid
+ * @param {{ guid: string, recordGuid: string, updatedAt: number }[]} found
+ * @returns {Set<string>} record guids
+ */
+export function staleIndexRecords(indexed, found) {
+	const stale = new Set();
+	const seen = new Set();
+	for (const line of found) {
+		seen.add(line.guid);
+		const known = indexed.get(line.guid);
+		if (!known || line.updatedAt > known.updatedAt) stale.add(line.recordGuid);
+	}
+	for (const [guid, line] of indexed) {
+		if (line.searchable && !seen.has(guid)) stale.add(line.recordGuid);
+	}
+	return stale;
 }
 
 /**
@@ -178,21 +587,22 @@ export function truncateBreadcrumbs(noteName, ancestors, budget) {
 /**
  * Reconstruct an FSRS Card object from line item meta properties.
  * @param {PluginLineItem} lineItem
+ * @param {typeof META} [keys=META] - meta keys of the card variant
  * @returns {import('ts-fsrs').Card}
  */
-export function metaToCard(lineItem) {
+export function metaToCard(lineItem, keys = META) {
 	const p = lineItem.props || {};
 	return {
-		due:            new Date(p[META.due]),
-		stability:      Number(p[META.stability])      || 0,
-		difficulty:     Number(p[META.difficulty])      || 0,
-		elapsed_days:   Number(p[META.elapsed_days])    || 0,
-		scheduled_days: Number(p[META.scheduled_days])  || 0,
-		reps:           Number(p[META.reps])            || 0,
-		lapses:         Number(p[META.lapses])          || 0,
-		learning_steps: Number(p[META.learning_steps])  || 0,
-		state:          Number(p[META.state])           || 0,
-		last_review:    p[META.last_review] ? new Date(p[META.last_review]) : undefined,
+		due:            new Date(p[keys.due]),
+		stability:      Number(p[keys.stability])      || 0,
+		difficulty:     Number(p[keys.difficulty])      || 0,
+		elapsed_days:   Number(p[keys.elapsed_days])    || 0,
+		scheduled_days: Number(p[keys.scheduled_days])  || 0,
+		reps:           Number(p[keys.reps])            || 0,
+		lapses:         Number(p[keys.lapses])          || 0,
+		learning_steps: Number(p[keys.learning_steps])  || 0,
+		state:          Number(p[keys.state])           || 0,
+		last_review:    p[keys.last_review] ? new Date(p[keys.last_review]) : undefined,
 	};
 }
 
@@ -200,23 +610,1281 @@ export function metaToCard(lineItem) {
  * Build the meta properties object from an FSRS Card (without persisting).
  * This is the pure, testable counterpart of cardToMeta.
  * @param {import('ts-fsrs').Card} card
+ * @param {typeof META} [keys=META] - meta keys of the card variant
+ * @returns {Record<string, any>}
+ */
+export function cardToMetaProps(card, keys = META) {
+	return {
+		[keys.due]:            card.due.toISOString(),
+		[keys.stability]:      card.stability,
+		[keys.difficulty]:     card.difficulty,
+		[keys.elapsed_days]:   card.elapsed_days,
+		[keys.scheduled_days]: card.scheduled_days,
+		[keys.reps]:           card.reps,
+		[keys.lapses]:         card.lapses,
+		[keys.learning_steps]: card.learning_steps,
+		[keys.state]:          card.state,
+		[keys.last_review]:    card.last_review ? card.last_review.toISOString() : null,
+	};
+}
+
+/**
+ * Meta properties that reset a card to New ("forget"): a fresh schedule,
+ * and no longer a leech. Its review log, flag and suspension are kept.
+ * @param {typeof META} [keys=META] - meta keys of the card variant
+ * @param {Date} [now=new Date()]
  * @returns {Record<string, any>}
  */
-export function cardToMetaProps(card) {
+export function forgetCardProps(keys = META, now = new Date()) {
+	return { ...cardToMetaProps(createEmptyCard(now), keys), [keys.leech]: null };
+}
+
+/**
+ * Meta properties that stop tracking a card: every one of its meta keys,
+ * review log included, set to null (deleted).
+ * @param {typeof META} [keys=META] - meta keys of the card variant
+ * @returns {Record<string, null>}
+ */
+export function untrackCardProps(keys = META) {
+	/** @type {Record<string, null>} */
+	const props = {};
+	for (const key of Object.values(keys)) props[key] = null;
+	return props;
+}
+
+// ─── Content fingerprints ───────────────────────────────────────────────────
+
+/**
+ * Short hash of what a card asks and answers, stored with its schedule so
+ * that rewriting the card can be noticed later. Whitespace changes don't
+ * count.
+ * @param {{ question: string, answer: string }} fc
+ * @returns {string}
+ */
+export function cardFingerprint(fc) {
+	const text = `${fc.question}\n${SEPARATOR}\n${fc.answer}`.replace(/\s+/g, ' ').trim();
+	// 32-bit FNV-1a
+	let hash = 0x811c9dc5;
+	for (let i = 0; i < text.length; i++) {
+		hash ^= text.charCodeAt(i);
+		hash = Math.imul(hash, 0x01000193);
+	}
+	return (hash >>> 0).toString(36);
+}
+
+/**
+ * Meta properties that record a card's current content as reviewed.
+ * @param {{ question: string, answer: string, keys: typeof META }} fc
+ * @returns {Record<string, string>}
+ */
+export function fingerprintProps(fc) {
+	return { [fc.keys.hash]: cardFingerprint(fc) };
+}
+
+/**
+ * Whether a card's question or answer changed since its fingerprint was
+ * stored. Cards tracked before fingerprints existed have none, and don't
+ * count as changed until they've been reviewed once.
+ * @param {PluginLineItem} lineItem
+ * @param {{ question: string, answer: string, keys: typeof META }} fc
+ * @returns {boolean}
+ */
+export function isCardChanged(lineItem, fc) {
+	const stored = lineItem.props?.[fc.keys.hash];
+	return typeof stored === 'string' && stored !== '' && stored !== cardFingerprint(fc);
+}
+
+// ─── Card status ────────────────────────────────────────────────────────────
+
+// Flag colors, in the order the practice shortcut cycles through them
+export const FLAG_COLORS = ['red', 'orange', 'green', 'blue', 'purple'];
+
+/**
+ * @typedef {object} CardStatus
+ * @property {boolean} suspended - excluded from practice until unsuspended
+ * @property {boolean} buried - skipped for the rest of the day
+ * @property {string | null} flag - one of FLAG_COLORS
+ * @property {boolean} leech - forgotten too often; see isLeechLapse
+ */
+
+/**
+ * Read a card's suspended/buried/flag status. Burying stores the day it
+ * happened, so a card stays buried until the next calendar day.
+ * @param {PluginLineItem} lineItem
+ * @param {typeof META} [keys=META] - meta keys of the card variant
+ * @param {Date} [now=new Date()]
+ * @returns {CardStatus}
+ */
+export function readCardStatus(lineItem, keys = META, now = new Date()) {
+	const p = lineItem.props || {};
+	const buried = p[keys.buried];
+	const flag = p[keys.flag];
 	return {
-		[META.due]:            card.due.toISOString(),
-		[META.stability]:      card.stability,
-		[META.difficulty]:     card.difficulty,
-		[META.elapsed_days]:   card.elapsed_days,
-		[META.scheduled_days]: card.scheduled_days,
-		[META.reps]:           card.reps,
-		[META.lapses]:         card.lapses,
-		[META.learning_steps]: card.learning_steps,
-		[META.state]:          card.state,
-		[META.last_review]:    card.last_review ? card.last_review.toISOString() : null,
+		suspended: !!p[keys.suspended],
+		buried: typeof buried === 'string' && buried >= dayKey(now),
+		flag: FLAG_COLORS.includes(flag) ? flag : null,
+		leech: !!p[keys.leech],
 	};
 }
 
+/**
+ * Meta properties that change a card's status. Only the given fields are
+ * touched; clearing a field deletes its key.
+ * @param {Partial<CardStatus>} status
+ * @param {typeof META} [keys=META] - meta keys of the card variant
+ * @param {Date} [now=new Date()] - the day a card is buried on
+ * @returns {Record<string, any>}
+ */
+export function cardStatusProps(status, keys = META, now = new Date()) {
+	/** @type {Record<string, any>} */
+	const props = {};
+	if ('suspended' in status) props[keys.suspended] = status.suspended ? true : null;
+	if ('buried' in status) props[keys.buried] = status.buried ? dayKey(now) : null;
+	if ('flag' in status) props[keys.flag] = status.flag || null;
+	if ('leech' in status) props[keys.leech] = status.leech ? true : null;
+	return props;
+}
+
+/**
+ * The flag after `flag` when cycling: none → red → … → purple → none.
+ * @param {string | null} flag
+ * @returns {string | null}
+ */
+export function nextFlag(flag) {
+	const i = flag ? FLAG_COLORS.indexOf(flag) : -1;
+	return i + 1 < FLAG_COLORS.length ? FLAG_COLORS[i + 1] : null;
+}
+
+/**
+ * Whether a rating that took a card from `before` to `after` lapses makes it
+ * a leech: it reached the threshold, or another half-threshold of lapses
+ * past it, so persistent leeches are flagged again. A threshold of 0 turns
+ * leech detection off.
+ * @param {number} before - lapses before the rating
+ * @param {number} after - lapses after the rating
+ * @param {number} threshold
+ * @returns {boolean}
+ */
+export function isLeechLapse(before, after, threshold) {
+	if (threshold <= 0 || after <= before || after < threshold) return false;
+	return (after - threshold) % Math.max(1, Math.ceil(threshold / 2)) === 0;
+}
+
+// ─── Settings ───────────────────────────────────────────────────────────────
+
+/**
+ * Scheduler settings, stored under `custom.settings` in the plugin configuration.
+ * @typedef {object} SchedulerSettings
+ * @property {number} request_retention - target probability of recall (0.7–0.99)
+ * @property {number} maximum_interval - longest interval in days
+ * @property {string[]} learning_steps - e.g. ["1m", "10m"]
+ * @property {string[]} relearning_steps - e.g. ["10m"]
+ * @property {boolean} enable_fuzz - randomize intervals slightly
+ * @property {boolean} enable_short_term - schedule same-day steps for learning cards
+ * @property {number} new_per_day - new cards introduced per day
+ * @property {number} reviews_per_day - review cards shown per day
+ * @property {number} leech_threshold - lapses that make a card a leech (0 = off)
+ * @property {boolean} leech_suspend - suspend cards when they become leeches
+ * @property {string} session_order - one of SESSION_ORDERS
+ * @property {number} reviews_per_new - reviews shown between new cards (0 = don't interleave)
+ * @property {boolean} avoid_same_note - don't show two cards from one note back to back
+ * @property {boolean} load_balance - move fuzzed due dates to the lightest day in range
+ * @property {boolean} auto_detect - start tracking new cards without running Generate
+ * @property {number} auto_detect_minutes - how often to look for new cards
+ * @property {boolean} persist_index - remember which notes hold cards across reloads
+ */
+
+/** @type {SchedulerSettings} */
+export const DEFAULT_SETTINGS = {
+	request_retention: 0.9,
+	maximum_interval: 365,
+	learning_steps: ['1m', '10m'],
+	relearning_steps: ['10m'],
+	enable_fuzz: true,
+	enable_short_term: true,
+	new_per_day: 20,
+	reviews_per_day: 200,
+	leech_threshold: 8,
+	leech_suspend: false,
+	session_order: 'due',
+	reviews_per_new: 0,
+	avoid_same_note: false,
+	load_balance: false,
+	auto_detect: false,
+	auto_detect_minutes: 10,
+	persist_index: false,
+};
+
+// Orders a practice session can be shown in
+export const SESSION_ORDERS = ['due', 'random', 'note', 'retrievability', 'difficulty'];
+
+const STEP_RE = /^(\d+)(m|h|d)$/;
+
+/**
+ * Parse a comma- or space-separated list of learning steps such as
+ * "1m, 10m, 1d". Returns null if any step is malformed.
+ * @param {string | string[]} value
+ * @returns {string[] | null}
+ */
+export function parseSteps(value) {
+	const parts = Array.isArray(value) ? value : String(value).split(/[\s,]+/);
+	const steps = [];
+	for (const part of parts) {
+		const step = String(part).trim().toLowerCase();
+		if (!step) continue;
+		const m = STEP_RE.exec(step);
+		if (!m || Number(m[1]) === 0) return null;
+		steps.push(step);
+	}
+	return steps;
+}
+
+/**
+ * Validate scheduler settings. Missing fields take their default; invalid
+ * ones are reported in `errors` (keyed by field) and replaced by the default.
+ * @param {Record<string, any>} [input]
+ * @returns {{ settings: SchedulerSettings, errors: Record<string, string> }}
+ */
+export function validateSettings(input = {}) {
+	const settings = {
+		...DEFAULT_SETTINGS,
+		learning_steps: [...DEFAULT_SETTINGS.learning_steps],
+		relearning_steps: [...DEFAULT_SETTINGS.relearning_steps],
+	};
+	/** @type {Record<string, string>} */
+	const errors = {};
+	const has = (/** @type {string} */ key) => input[key] != null && input[key] !== '';
+
+	if (has('request_retention')) {
+		const r = Number(input.request_retention);
+		if (Number.isFinite(r) && r >= 0.7 && r <= 0.99) settings.request_retention = r;
+		else errors.request_retention = 'Retention must be between 0.70 and 0.99.';
+	}
+	if (has('maximum_interval')) {
+		const days = Number(input.maximum_interval);
+		if (Number.isInteger(days) && days >= 1 && days <= 36500) settings.maximum_interval = days;
+		else errors.maximum_interval = 'Maximum interval must be a whole number of days from 1 to 36500.';
+	}
+	for (const key of /** @type {const} */ (['learning_steps', 'relearning_steps'])) {
+		if (input[key] == null) continue;
+		const steps = parseSteps(input[key]);
+		if (steps) settings[key] = steps;
+		else errors[key] = 'Use steps like "1m, 10m, 1d" (minutes, hours or days).';
+	}
+	for (const key of /** @type {const} */ (['new_per_day', 'reviews_per_day'])) {
+		if (!has(key)) continue;
+		const n = Number(input[key]);
+		if (Number.isInteger(n) && n >= 0 && n <= 9999) settings[key] = n;
+		else errors[key] = 'Limits must be a whole number from 0 to 9999.';
+	}
+	if (has('leech_threshold')) {
+		const n = Number(input.leech_threshold);
+		if (Number.isInteger(n) && n >= 0 && n <= 99) settings.leech_threshold = n;
+		else errors.leech_threshold = 'Leech threshold must be a whole number from 0 to 99.';
+	}
+	if (has('reviews_per_new')) {
+		const n = Number(input.reviews_per_new);
+		if (Number.isInteger(n) && n >= 0 && n <= 99) settings.reviews_per_new = n;
+		else errors.reviews_per_new = 'Must be a whole number from 0 to 99.';
+	}
+	if (has('auto_detect_minutes')) {
+		const n = Number(input.auto_detect_minutes);
+		if (Number.isInteger(n) && n >= 1 && n <= 1440) settings.auto_detect_minutes = n;
+		else errors.auto_detect_minutes = 'Must be a whole number of minutes from 1 to 1440.';
+	}
+	if (has('session_order')) {
+		if (SESSION_ORDERS.includes(input.session_order)) settings.session_order = input.session_order;
+		else errors.session_order = 'Unknown order.';
+	}
+	for (const key of /** @type {const} */ (['enable_fuzz', 'enable_short_term', 'leech_suspend', 'avoid_same_note', 'load_balance', 'auto_detect', 'persist_index'])) {
+		if (input[key] == null) continue;
+		if (typeof input[key] === 'boolean') settings[key] = input[key];
+		else errors[key] = 'Must be on or off.';
+	}
+	return { settings, errors };
+}
+
+// Settings ts-fsrs reads; the others are the plugin's own
+export const FSRS_FIELDS = /** @type {const} */ ([
+	'request_retention', 'maximum_interval', 'learning_steps', 'relearning_steps', 'enable_fuzz', 'enable_short_term', 'w',
+]);
+
+/**
+ * Pick the ts-fsrs parameters out of scheduler settings (optionally with
+ * optimized weights as `w`), leaving out fields that aren't set.
+ * @param {Partial<SchedulerSettings> & { w?: number[] }} settings
+ * @returns {Partial<import('ts-fsrs').FSRSParameters>}
+ */
+export function fsrsParameters(settings) {
+	/** @type {Record<string, any>} */
+	const params = {};
+	for (const key of FSRS_FIELDS) {
+		if (settings[key] != null) params[key] = settings[key];
+	}
+	return params;
+}
+
+// Settings a preset can override; the rest always come from the global settings
+export const PRESET_FIELDS = /** @type {const} */ ([
+	'request_retention', 'maximum_interval', 'learning_steps', 'relearning_steps', 'new_per_day', 'reviews_per_day',
+]);
+
+/**
+ * A named set of scheduler settings that can be assigned to notes and
+ * collections. Fields left out inherit the global settings.
+ * @typedef {{ id: string, name: string } & Partial<Pick<SchedulerSettings, typeof PRESET_FIELDS[number]>>} SchedulerPreset
+ */
+
+/**
+ * Validate a list of presets. Each needs a unique, non-empty name; blank
+ * fields are left out so they inherit the global settings.
+ * @param {Record<string, any>[]} inputs
+ * @returns {{ presets: SchedulerPreset[], errors: Record<string, string>[] }} errors by preset index
+ */
+export function validatePresets(inputs) {
+	/** @type {SchedulerPreset[]} */
+	const presets = [];
+	/** @type {Record<string, string>[]} */
+	const errors = [];
+	const seen = new Set();
+
+	for (const input of inputs) {
+		const name = String(input.name || '').trim();
+		/** @type {Record<string, any>} */
+		const fields = {};
+		for (const key of PRESET_FIELDS) {
+			const value = input[key];
+			if (value == null || (typeof value === 'string' && !value.trim())) continue;
+			fields[key] = value;
+		}
+
+		const result = validateSettings(fields);
+		/** @type {Record<string, string>} */
+		const presetErrors = { ...result.errors };
+		if (!name) presetErrors.name = 'Give the preset a name.';
+		else if (seen.has(name.toLowerCase())) presetErrors.name = `There is already a preset named "${name}".`;
+		seen.add(name.toLowerCase());
+
+		/** @type {SchedulerPreset} */
+		const preset = { id: String(input.id || ''), name };
+		for (const key of PRESET_FIELDS) {
+			if (key in fields && !presetErrors[key]) /** @type {Record<string, any>} */ (preset)[key] = result.settings[key];
+		}
+		presets.push(preset);
+		errors.push(presetErrors);
+	}
+	return { presets, errors };
+}
+
+/**
+ * Map each note to the preset it uses. A preset assigned to a note wins over
+ * one assigned to its collection; assignments to unknown presets are ignored.
+ * @param {Record<string, string>} assignments - note or collection guid → preset id
+ * @param {SchedulerPreset[]} presets
+ * @param {Map<string, string[]>} collectionRecords - collection guid → guids of its notes
+ * @returns {Map<string, string>} note guid → preset id
+ */
+export function buildPresetIndex(assignments, presets, collectionRecords) {
+	const ids = new Set(presets.map(p => p.id));
+	/** @type {Map<string, string>} */
+	const index = new Map();
+	for (const [collectionGuid, recordGuids] of collectionRecords) {
+		const id = assignments[collectionGuid];
+		if (!ids.has(id)) continue;
+		for (const guid of recordGuids) index.set(guid, id);
+	}
+	for (const [guid, id] of Object.entries(assignments)) {
+		if (ids.has(id) && !collectionRecords.has(guid)) index.set(guid, id);
+	}
+	return index;
+}
+
+// ─── Daily limits ───────────────────────────────────────────────────────────
+
+/**
+ * Local calendar day of a date, e.g. "2026-02-10".
+ * @param {Date} date
+ * @returns {string}
+ */
+export function dayKey(date) {
+	const pad = (/** @type {number} */ n) => String(n).padStart(2, '0');
+	return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Count the cards studied on a calendar day from their review logs, per
+ * preset (`''` for cards without one). A card counts as new if it was New
+ * when first rated that day, and as a review if it was in Review state.
+ * Learning and relearning steps aren't counted.
+ * @param {{ preset: string | null, log: ReviewLogEntry[] }[]} cards
+ * @param {string} day - from dayKey
+ * @returns {Map<string, { new: number, reviews: number }>}
+ */
+export function countStudiedOn(cards, day) {
+	/** @type {Map<string, { new: number, reviews: number }>} */
+	const counts = new Map();
+	for (const { preset, log } of cards) {
+		const today = log.filter(e => dayKey(e.review) === day);
+		if (today.length === 0) continue;
+		const key = preset || '';
+		const count = counts.get(key) || { new: 0, reviews: 0 };
+		if (today.some(e => e.state === 0)) count.new++;
+		else if (today.some(e => e.state === 2)) count.reviews++;
+		counts.set(key, count);
+	}
+	return counts;
+}
+
+/**
+ * Apply per-day limits to the due cards, per preset. Cards are kept in order
+ * until a preset's allowance of new cards or reviews runs out; learning and
+ * relearning cards are never held back.
+ * @template {{ preset: string | null, card: { state: number } }} T
+ * @param {T[]} due - due cards, in the order they'd be shown
+ * @param {(preset: string | null) => { new_per_day: number, reviews_per_day: number }} limitsFor
+ * @param {Map<string, { new: number, reviews: number }>} studied - from countStudiedOn
+ * @returns {{ cards: T[], heldNew: number, heldReviews: number }}
+ */
+export function applyDailyLimits(due, limitsFor, studied) {
+	/** @type {Map<string, { new: number, reviews: number }>} */
+	const left = new Map();
+	const allowance = (/** @type {string | null} */ preset) => {
+		const key = preset || '';
+		let a = left.get(key);
+		if (!a) {
+			const limits = limitsFor(preset);
+			const done = studied.get(key) || { new: 0, reviews: 0 };
+			a = {
+				new: Math.max(0, limits.new_per_day - done.new),
+				reviews: Math.max(0, limits.reviews_per_day - done.reviews),
+			};
+			left.set(key, a);
+		}
+		return a;
+	};
+
+	/** @type {T[]} */
+	const cards = [];
+	let heldNew = 0;
+	let heldReviews = 0;
+	for (const entry of due) {
+		const state = entry.card.state;
+		if (state !== 0 && state !== 2) {
+			cards.push(entry);
+			continue;
+		}
+		const a = allowance(entry.preset);
+		const kind = state === 0 ? 'new' : 'reviews';
+		if (a[kind] > 0) {
+			a[kind]--;
+			cards.push(entry);
+		} else if (kind === 'new') {
+			heldNew++;
+		} else {
+			heldReviews++;
+		}
+	}
+	return { cards, heldNew, heldReviews };
+}
+
+// ─── Learning queue ─────────────────────────────────────────────────────────
+
+/**
+ * Whether a just-rated card should come back in the same practice session:
+ * it's learning or relearning and due again today (a short-term step).
+ * @param {{ state: number, due: Date }} card
+ * @param {Date} now
+ * @returns {boolean}
+ */
+export function isSessionLearning(card, now) {
+	return (card.state === 1 || card.state === 3) && dayKey(card.due) === dayKey(now);
+}
+
+/**
+ * Index of the learning card to show next: the one due soonest, provided it
+ * is due by `now`. Returns -1 if none is due yet.
+ * @param {{ card: { due: Date } }[]} queue
+ * @param {Date} now
+ * @returns {number}
+ */
+export function nextDueLearning(queue, now) {
+	let best = -1;
+	for (let i = 0; i < queue.length; i++) {
+		if (queue[i].card.due > now) continue;
+		if (best < 0 || queue[i].card.due < queue[best].card.due) best = i;
+	}
+	return best;
+}
+
+// ─── Session order ──────────────────────────────────────────────────────────
+
+/**
+ * @typedef {{ recordGuid: string, card: { state: number, difficulty: number } }} OrderableCard
+ */
+
+/**
+ * Put a session's cards in the chosen order. Cards come in oldest-due
+ * first, which `due` keeps. Sorting by retrievability (least likely to be
+ * recalled first) or difficulty (hardest first) puts new cards last, as they
+ * have neither yet. Then, optionally, one new card is shown after every
+ * `reviews_per_new` other cards, and cards are moved apart so no two from the
+ * same note follow each other where that can be avoided.
+ * @template {OrderableCard} T
+ * @param {T[]} cards - in oldest-due-first order
+ * @param {Pick<SchedulerSettings, 'session_order' | 'reviews_per_new' | 'avoid_same_note'>} options
+ * @param {(card: T) => number} retrievability - probability of recall now
+ * @param {() => number} [random=Math.random]
+ * @returns {T[]}
+ */
+export function orderSession(cards, options, retrievability, random = Math.random) {
+	let ordered = [...cards];
+	const isNew = (/** @type {T} */ e) => e.card.state === 0;
+	const sortBy = (/** @type {(e: T) => number} */ key) => {
+		const keys = new Map(ordered.map(e => [e, key(e)]));
+		ordered.sort((a, b) => {
+			const ka = keys.get(a);
+			const kb = keys.get(b);
+			return ka < kb ? -1 : ka > kb ? 1 : 0;
+		});
+	};
+
+	switch (options.session_order) {
+		case 'random':
+			for (let i = ordered.length - 1; i > 0; i--) {
+				const j = Math.floor(random() * (i + 1));
+				[ordered[i], ordered[j]] = [ordered[j], ordered[i]];
+			}
+			break;
+		case 'note': {
+			// Notes in the order their first card comes up
+			const rank = new Map();
+			for (const e of ordered) if (!rank.has(e.recordGuid)) rank.set(e.recordGuid, rank.size);
+			sortBy(e => rank.get(e.recordGuid));
+			break;
+		}
+		case 'retrievability':
+			sortBy(e => (isNew(e) ? Infinity : retrievability(e)));
+			break;
+		case 'difficulty':
+			sortBy(e => (isNew(e) ? Infinity : -e.card.difficulty));
+			break;
+	}
+
+	if (options.reviews_per_new > 0) {
+		const news = ordered.filter(isNew);
+		const others = ordered.filter(e => !isNew(e));
+		ordered = [];
+		while (others.length > 0 || news.length > 0) {
+			ordered.push(...others.splice(0, options.reviews_per_new));
+			if (news.length > 0) ordered.push(/** @type {T} */ (news.shift()));
+		}
+	}
+
+	if (options.avoid_same_note) {
+		for (let i = 1; i < ordered.length; i++) {
+			if (ordered[i].recordGuid !== ordered[i - 1].recordGuid) continue;
+			const j = ordered.findIndex((e, k) => k > i && e.recordGuid !== ordered[i - 1].recordGuid);
+			if (j < 0) break;
+			ordered.splice(i, 0, ...ordered.splice(j, 1));
+		}
+	}
+
+	return ordered;
+}
+
+// ─── Backlog and load ───────────────────────────────────────────────────────
+
+/** Milliseconds in one day. */
+export const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Number of cards due on each calendar day (keyed by dayKey). New cards
+ * aren't counted — they're due whenever they're introduced.
+ * @param {{ card: { state: number, due: Date } }[]} cards
+ * @returns {Map<string, number>}
+ */
+export function countDueByDay(cards) {
+	/** @type {Map<string, number>} */
+	const load = new Map();
+	for (const { card } of cards) {
+		if (card.state === 0) continue;
+		const day = dayKey(card.due);
+		load.set(day, (load.get(day) || 0) + 1);
+	}
+	return load;
+}
+
+/**
+ * Spread a backlog of overdue cards over the next `days` days, today
+ * included, so every day ends up with about the same number of cards due.
+ * Cards are assigned in order, so put the most urgent (lowest
+ * retrievability) first: they get the earliest days.
+ * @param {number} count - cards in the backlog
+ * @param {number} days
+ * @param {Map<string, number>} load - cards already due per day, from countDueByDay
+ * @param {Date} now
+ * @returns {number[]} day offset (0 = today) for each card, in order
+ */
+export function spreadBacklog(count, days, load, now) {
+	const perDay = Array.from({ length: days }, (_, i) => load.get(dayKey(new Date(now.getTime() + i * DAY_MS))) || 0);
+	const target = Math.ceil((perDay.reduce((a, b) => a + b, 0) + count) / days);
+	const offsets = [];
+	let day = 0;
+	for (let i = 0; i < count; i++) {
+		while (day < days - 1 && perDay[day] >= target) day++;
+		perDay[day]++;
+		offsets.push(day);
+	}
+	return offsets;
+}
+
+/**
+ * Give a card a new due date, with its interval (`scheduled_days`, counted
+ * from the last review) updated to match.
+ * @template {import('ts-fsrs').Card} C
+ * @param {C} card
+ * @param {Date} due
+ * @returns {C}
+ */
+export function moveDue(card, due) {
+	const scheduled_days = card.last_review ? dateDiffInDays(card.last_review, due) : card.scheduled_days;
+	return { ...card, due, scheduled_days };
+}
+
+/**
+ * Move a just-scheduled review card to the day with the fewest cards due
+ * within its fuzz range, the way fuzzing would have spread it anyway. Ties
+ * go to the day closest to the scheduled interval. Cards with intervals too
+ * short to fuzz are returned unchanged.
+ * @template {import('ts-fsrs').Card} C
+ * @param {C} card - as returned by the scheduler
+ * @param {Date} now - time of the review
+ * @param {Map<string, number>} load - cards due per day, from countDueByDay
+ * @param {number} maximumInterval
+ * @returns {C}
+ */
+export function balanceDue(card, now, load, maximumInterval) {
+	if (card.state !== 2 || card.scheduled_days < 3) return card;
+	const { min_ivl, max_ivl } = get_fuzz_range(card.scheduled_days, card.elapsed_days, maximumInterval);
+	let best = card.scheduled_days;
+	let bestLoad = Infinity;
+	for (let ivl = min_ivl; ivl <= max_ivl; ivl++) {
+		const n = load.get(dayKey(new Date(now.getTime() + ivl * DAY_MS))) || 0;
+		const closer = Math.abs(ivl - card.scheduled_days) < Math.abs(best - card.scheduled_days);
+		if (n < bestLoad || (n === bestLoad && closer)) {
+			best = ivl;
+			bestLoad = n;
+		}
+	}
+	return { ...card, scheduled_days: best, due: new Date(now.getTime() + best * DAY_MS) };
+}
+
+// ─── Cram ───────────────────────────────────────────────────────────────────
+
+/**
+ * Hashtags on a flashcard line and the lines below it, lowercased and
+ * without the leading `#`.
+ * @param {PluginLineItem} lineItem
+ * @returns {string[]}
+ */
+export function lineItemTags(lineItem) {
+	const tags = new Set();
+	const visit = (/** @type {PluginLineItem} */ li) => {
+		for (const seg of li.segments || []) {
+			if (seg.type !== 'hashtag' || typeof seg.text !== 'string') continue;
+			const tag = seg.text.replace(/^#/, '').trim().toLowerCase();
+			if (tag) tags.add(tag);
+		}
+		for (const child of li.children || []) visit(child);
+	};
+	visit(lineItem);
+	return [...tags];
+}
+
+/**
+ * Whether a card was rated Again within the last `days` days.
+ * @param {ReviewLogEntry[]} log
+ * @param {number} days
+ * @param {Date} now
+ * @returns {boolean}
+ */
+export function failedWithin(log, days, now) {
+	const since = now.getTime() - days * DAY_MS;
+	return log.some(e => e.rating === 1 && e.review.getTime() >= since);
+}
+
+// ─── Dashboard ──────────────────────────────────────────────────────────────
+
+// Due date ranges the dashboard can filter by
+export const DUE_RANGES = ['any', 'overdue', 'today', 'week', 'month', 'later'];
+
+/**
+ * Whether a due date falls in a dashboard due range: overdue (before today),
+ * due by the end of today, or of the next 7 or 30 days (overdue included),
+ * or later than that.
+ * @param {Date} due
+ * @param {string} range - one of DUE_RANGES
+ * @param {Date} now
+ * @returns {boolean}
+ */
+export function inDueRange(due, range, now) {
+	const today = new Date(now.getFullYear(), now.getMonth(), now.getDate()).getTime();
+	const endOf = (/** @type {number} */ days) => today + days * DAY_MS;
+	switch (range) {
+		case 'overdue': return due.getTime() < today;
+		case 'today': return due.getTime() < endOf(1);
+		case 'week': return due.getTime() < endOf(7);
+		case 'month': return due.getTime() < endOf(30);
+		case 'later': return due.getTime() >= endOf(30);
+		default: return true;
+	}
+}
+
+/**
+ * Whether every word of a search query appears in the given texts,
+ * ignoring case. An empty query matches everything.
+ * @param {string[]} texts - e.g. a card's front, back and note name
+ * @param {string} query
+ * @returns {boolean}
+ */
+export function matchesSearch(texts, query) {
+	const haystack = texts.join('\n').toLowerCase();
+	return query.toLowerCase().split(/\s+/).filter(Boolean).every(word => haystack.includes(word));
+}
+
+/**
+ * Sort table rows by a column. Strings compare case-insensitively and with
+ * numbers in order ("Card 2" before "Card 10"). Rows without a value sort
+ * last in either direction, and ties keep their order.
+ * @template T
+ * @param {T[]} rows
+ * @param {(row: T) => string | number | null} key
+ * @param {'asc' | 'desc'} dir
+ * @returns {T[]} a sorted copy
+ */
+export function sortRows(rows, key, dir) {
+	const keys = new Map(rows.map(r => [r, key(r)]));
+	const sign = dir === 'desc' ? -1 : 1;
+	return [...rows].sort((a, b) => {
+		const ka = keys.get(a);
+		const kb = keys.get(b);
+		if (ka == null || kb == null) return ka == null ? (kb == null ? 0 : 1) : -1;
+		const cmp = typeof ka === 'string' && typeof kb === 'string'
+			? ka.localeCompare(kb, undefined, { numeric: true, sensitivity: 'base' })
+			: ka < kb ? -1 : ka > kb ? 1 : 0;
+		return sign * cmp;
+	});
+}
+
+// ─── Integrity ──────────────────────────────────────────────────────────────
+
+// Card fields, longest first so that `fc_c1_last_review` matches `last_review`
+const META_FIELDS = Object.keys(META).sort((a, b) => b.length - a.length);
+
+// Schedule fields as named in integrity reports
+const META_FIELD_LABELS = {
+	due: 'Due date',
+	last_review: 'Last review',
+	stability: 'Stability',
+	difficulty: 'Difficulty',
+	elapsed_days: 'Elapsed days',
+	scheduled_days: 'Scheduled days',
+	reps: 'Reviews',
+	lapses: 'Lapses',
+	learning_steps: 'Learning step',
+	state: 'State',
+};
+
+/**
+ * Group the card meta keys on a line item by card variant: `fc_due` goes
+ * under "" and `fc_c2_due` under "c2". Other `fc_` keys, such as image
+ * occlusion regions, are left out.
+ * @param {Record<string, any> | null | undefined} props
+ * @returns {Map<string, string[]>} variant → keys present
+ */
+export function metaVariants(props) {
+	/** @type {Map<string, string[]>} */
+	const variants = new Map();
+	for (const [key, value] of Object.entries(props || {})) {
+		if (!key.startsWith(META_PREFIX) || value == null) continue;
+		const rest = key.slice(META_PREFIX.length);
+		const field = META_FIELDS.find(f => rest === f || rest.endsWith('_' + f));
+		if (!field) continue;
+		const variant = rest.slice(0, Math.max(0, rest.length - field.length - 1));
+		variants.set(variant, [...(variants.get(variant) || []), key]);
+	}
+	return variants;
+}
+
+/**
+ * Problems with a card's stored schedule that metaToCard would paper over,
+ * reading them as 0 or an Invalid Date.
+ * @param {Record<string, any> | null | undefined} props
+ * @param {typeof META} [keys=META] - meta keys of the card variant
+ * @returns {string[]} one line per problem; empty if the schedule is sound
+ */
+export function metaProblems(props, keys = META) {
+	const p = props || {};
+	const problems = [];
+	const isDate = (/** @type {any} */ v) => (typeof v === 'string' || typeof v === 'number') && v !== '' && !Number.isNaN(new Date(v).getTime());
+
+	if (!isDate(p[keys.due])) problems.push(`${META_FIELD_LABELS.due} is not a date`);
+	if (p[keys.last_review] != null && !isDate(p[keys.last_review])) problems.push(`${META_FIELD_LABELS.last_review} is not a date`);
+	for (const field of /** @type {const} */ (['stability', 'difficulty', 'elapsed_days', 'scheduled_days', 'reps', 'lapses', 'learning_steps', 'state'])) {
+		const value = p[keys[field]];
+		const n = Number(value);
+		if (value == null) problems.push(`${META_FIELD_LABELS[field]} is missing`);
+		else if (value === '' || typeof value === 'boolean' || !Number.isFinite(n) || n < 0) problems.push(`${META_FIELD_LABELS[field]} is not a valid number`);
+		else if (field === 'state' && !(Number.isInteger(n) && n <= 3)) problems.push(`${META_FIELD_LABELS.state} must be 0–3`);
+	}
+
+	const log = p[keys.log];
+	if (log != null && log !== '') {
+		const unreadable = typeof log === 'string' ? log.split(';').length - decodeReviewLog(log).length : 1;
+		if (unreadable > 0) problems.push(typeof log === 'string' ? `${unreadable} review log ${unreadable === 1 ? 'entry' : 'entries'} can't be read` : 'Review log is not text');
+	}
+	return problems;
+}
+
+/**
+ * An inconsistency found by findIntegrityIssues.
+ * @template T
+ * @typedef {object} IntegrityIssue
+ * @property {'copied' | 'duplicate' | 'orphan' | 'malformed'} kind
+ * @property {T} line - the line the issue is on
+ * @property {string} variant - the card variant concerned
+ * @property {string} detail - what's wrong, for the report
+ * @property {T} [original] - for a copied schedule or duplicate question, the line it duplicates
+ */
+
+/**
+ * Find flashcard lines whose meta doesn't add up: schedules copied along
+ * with a pasted line, the same question tracked twice, meta left behind on
+ * lines (or cloze numbers, regions…) that are no longer cards, and values
+ * that can't be read. Copies are reported on every line but the first, and
+ * a copied card isn't reported again as a duplicate question.
+ * @template {{ lineItem: PluginLineItem, cards: { variant: string, keys: typeof META, question: string, occlusion?: object }[] }} T
+ * @param {T[]} lines - lines with cards or card meta, in note order
+ * @returns {IntegrityIssue<T>[]}
+ */
+export function findIntegrityIssues(lines) {
+	/** @type {IntegrityIssue<T>[]} */
+	const issues = [];
+	/** @type {Map<string, T>} */
+	const schedules = new Map();
+	/** @type {Map<string, T>} */
+	const questions = new Map();
+
+	for (const line of lines) {
+		const props = line.lineItem.props || {};
+		const variants = new Set(line.cards.map(c => c.variant));
+		for (const variant of metaVariants(props).keys()) {
+			if (variants.has(variant)) continue;
+			issues.push({
+				kind: 'orphan',
+				line,
+				variant,
+				detail: line.cards.length === 0 ? 'Card meta on a line that is no longer a flashcard' : `Meta for ${variant ? `card ${variant}` : 'a question/answer card'}, which this line no longer has`,
+			});
+		}
+
+		for (const fc of line.cards) {
+			if (!hasCardMeta(line.lineItem, fc.keys)) continue;
+			const problems = metaProblems(props, fc.keys);
+			if (problems.length > 0) issues.push({ kind: 'malformed', line, variant: fc.variant, detail: problems.join('; ') });
+
+			// A reviewed schedule belongs to one line — the same one twice was copied
+			const log = props[fc.keys.log];
+			const lastReview = props[fc.keys.last_review];
+			if (log || lastReview) {
+				const signature = JSON.stringify([fc.variant, props[fc.keys.due], lastReview, log]);
+				const original = schedules.get(signature);
+				if (original) {
+					issues.push({ kind: 'copied', line, variant: fc.variant, original, detail: 'Schedule and review history copied from another line' });
+					continue;
+				}
+				schedules.set(signature, line);
+			}
+
+			if (fc.occlusion) continue;
+			const question = normalizeAnswer(fc.question).toLowerCase();
+			const original = questions.get(question);
+			if (!original) questions.set(question, line);
+			else if (original !== line) issues.push({ kind: 'duplicate', line, variant: fc.variant, original, detail: 'Same question as another card' });
+		}
+	}
+	return issues;
+}
+
+// ─── Review log ─────────────────────────────────────────────────────────────
+
+/**
+ * One rating of a card. `state` is the FSRS state *before* the review and
+ * `elapsed_days` the days since the previous review, as in ts-fsrs' ReviewLog.
+ * @typedef {object} ReviewLogEntry
+ * @property {Date} review - when the card was rated
+ * @property {number} rating - ts-fsrs Rating (1–4)
+ * @property {number} state - ts-fsrs State before the review
+ * @property {number} elapsed_days
+ * @property {number} duration - milliseconds from showing the card to rating it
+ */
+
+/**
+ * Encode a review log entry as a compact string:
+ * `<epoch ms>,<rating>,<state>,<elapsed days>,<duration ms>`.
+ * @param {ReviewLogEntry} entry
+ * @returns {string}
+ */
+export function encodeReviewLogEntry(entry) {
+	return [
+		entry.review.getTime(),
+		entry.rating,
+		entry.state,
+		entry.elapsed_days,
+		Math.max(0, Math.round(entry.duration || 0)),
+	].join(',');
+}
+
+/**
+ * Decode a stored review log (entries separated by `;`), oldest first.
+ * Malformed entries are skipped.
+ * @param {any} value - the raw meta value
+ * @returns {ReviewLogEntry[]}
+ */
+export function decodeReviewLog(value) {
+	if (typeof value !== 'string' || !value) return [];
+	/** @type {ReviewLogEntry[]} */
+	const entries = [];
+	for (const raw of value.split(';')) {
+		const [ts, rating, state, elapsed, duration] = raw.split(',').map(Number);
+		if (!Number.isFinite(ts) || !(rating >= 1 && rating <= 4) || !Number.isInteger(state)) continue;
+		entries.push({
+			review: new Date(ts),
+			rating,
+			state,
+			elapsed_days: Number.isFinite(elapsed) ? elapsed : 0,
+			duration: Number.isFinite(duration) ? duration : 0,
+		});
+	}
+	return entries;
+}
+
+/**
+ * Read back the review log of a card, oldest first.
+ * @param {PluginLineItem} lineItem
+ * @param {typeof META} [keys=META] - meta keys of the card variant
+ * @returns {ReviewLogEntry[]}
+ */
+export function readReviewLog(lineItem, keys = META) {
+	return decodeReviewLog(lineItem.props?.[keys.log]);
+}
+
+/**
+ * Snapshot a card's meta properties, including its review log, so they can be
+ * restored later with setMetaProperties. Missing keys map to null, which
+ * deletes them on restore.
+ * @param {PluginLineItem} lineItem
+ * @param {typeof META} [keys=META] - meta keys of the card variant
+ * @returns {Record<string, any>}
+ */
+export function metaSnapshot(lineItem, keys = META) {
+	const props = lineItem.props || {};
+	/** @type {Record<string, any>} */
+	const snapshot = {};
+	for (const key of Object.values(keys)) {
+		snapshot[key] = props[key] ?? null;
+	}
+	return snapshot;
+}
+
+/**
+ * Build the meta properties that append an entry to a card's review log
+ * (without persisting). Existing entries are kept as stored.
+ * @param {PluginLineItem} lineItem
+ * @param {ReviewLogEntry} entry
+ * @param {typeof META} [keys=META] - meta keys of the card variant
+ * @returns {Record<string, string>}
+ */
+export function appendReviewLogProps(lineItem, entry, keys = META) {
+	const current = lineItem.props?.[keys.log];
+	const encoded = encodeReviewLogEntry(entry);
+	return { [keys.log]: typeof current === 'string' && current ? `${current};${encoded}` : encoded };
+}
+
+// ─── FSRS optimizer ─────────────────────────────────────────────────────────
+
+/**
+ * One review in a training sequence: days since the previous review and the
+ * rating given.
+ * @typedef {{ t: number, rating: number }} TrainingReview
+ */
+
+/**
+ * Turn review logs into training sequences for the optimizer. A sequence
+ * starts at a review of a New card (so also after a reset); reviews logged
+ * before the first one are dropped, since the memory state they start from is
+ * unknown. Sequences with a single review carry nothing to learn from.
+ * @param {ReviewLogEntry[][]} logs - one review log per card
+ * @returns {TrainingReview[][]}
+ */
+export function reviewSequences(logs) {
+	/** @type {TrainingReview[][]} */
+	const sequences = [];
+	for (const log of logs) {
+		const sorted = [...log].sort((a, b) => a.review.getTime() - b.review.getTime());
+		/** @type {TrainingReview[] | null} */
+		let seq = null;
+		for (let i = 0; i < sorted.length; i++) {
+			const entry = sorted[i];
+			if (entry.state === 0) {
+				if (seq && seq.length > 1) sequences.push(seq);
+				seq = [{ t: 0, rating: entry.rating }];
+			} else if (seq) {
+				seq.push({ t: dateDiffInDays(sorted[i - 1].review, entry.review), rating: entry.rating });
+			}
+		}
+		if (seq && seq.length > 1) sequences.push(seq);
+	}
+	return sequences;
+}
+
+/**
+ * Mean log-loss of FSRS recall predictions for the given weights. As in the
+ * reference optimizer, only reviews at least a day after the previous one are
+ * scored; same-day reviews still update the memory state.
+ * @param {readonly number[]} weights
+ * @param {TrainingReview[][]} sequences
+ * @param {boolean} [enableShortTerm=true] - whether the scheduler uses same-day steps
+ * @returns {{ loss: number, count: number }} count is the number of scored reviews
+ */
+export function fsrsLogLoss(weights, sequences, enableShortTerm = true) {
+	const algorithm = new FSRSAlgorithm({ w: [...weights], enable_short_term: enableShortTerm });
+	let sum = 0;
+	let count = 0;
+	for (const seq of sequences) {
+		/** @type {{ stability: number, difficulty: number } | null} */
+		let memory = null;
+		for (const { t, rating } of seq) {
+			if (memory && t >= 1) {
+				const p = Math.min(Math.max(algorithm.forgetting_curve(t, memory.stability), 1e-6), 1 - 1e-6);
+				sum -= rating > 1 ? Math.log(p) : Math.log(1 - p);
+				count++;
+			}
+			memory = algorithm.next_state(memory, t, rating);
+		}
+	}
+	return { loss: count ? sum / count : 0, count };
+}
+
+/**
+ * Fit FSRS weights to review sequences by minimizing log-loss, using Adam on
+ * finite-difference gradients and keeping weights within ts-fsrs' bounds.
+ * Yields to the event loop regularly so the UI stays responsive.
+ * The best weights seen are returned, so `after` never exceeds `before`.
+ * @param {TrainingReview[][]} sequences
+ * @param {object} [opts]
+ * @param {readonly number[]} [opts.initial=default_w] - weights to start from
+ * @param {number} [opts.steps=80]
+ * @param {number} [opts.learningRate=0.04]
+ * @param {boolean} [opts.enableShortTerm=true] - the scheduler's enable_short_term
+ * @param {number} [opts.relearningSteps=1] - number of relearning steps the scheduler uses
+ * @param {(step: number, steps: number, loss: number) => void} [opts.onProgress]
+ * @returns {Promise<{ weights: number[], before: number, after: number, count: number }>}
+ */
+export async function optimizeWeights(sequences, { initial = default_w, steps = 80, learningRate = 0.04, enableShortTerm = true, relearningSteps = 1, onProgress } = {}) {
+	const clip = (/** @type {number[]} */ w) => clipParameters(w, relearningSteps, enableShortTerm);
+	const lossOf = (/** @type {number[]} */ w) => fsrsLogLoss(w, sequences, enableShortTerm).loss;
+	const h = 1e-4;
+	const beta1 = 0.9;
+	const beta2 = 0.999;
+
+	let w = clip([...initial]);
+	const { loss: before, count } = fsrsLogLoss(w, sequences, enableShortTerm);
+	let best = { weights: w, loss: before };
+	const m = new Array(w.length).fill(0);
+	const v = new Array(w.length).fill(0);
+
+	for (let step = 1; step <= steps; step++) {
+		const base = lossOf(w);
+		/** @type {number[]} */
+		const grad = [];
+		for (let i = 0; i < w.length; i++) {
+			const probe = [...w];
+			probe[i] += h;
+			grad.push((lossOf(probe) - base) / h);
+			if (i % 8 === 7) await new Promise(resolve => setTimeout(resolve, 0));
+		}
+		w = clip(w.map((wi, i) => {
+			m[i] = beta1 * m[i] + (1 - beta1) * grad[i];
+			v[i] = beta2 * v[i] + (1 - beta2) * grad[i] * grad[i];
+			const mHat = m[i] / (1 - beta1 ** step);
+			const vHat = v[i] / (1 - beta2 ** step);
+			return wi - learningRate * mHat / (Math.sqrt(vHat) + 1e-8);
+		}));
+
+		const loss = lossOf(w);
+		if (loss < best.loss) best = { weights: w, loss };
+		if (onProgress) onProgress(step, steps, loss);
+		await new Promise(resolve => setTimeout(resolve, 0));
+	}
+
+	return { weights: best.weights, before, after: best.loss, count };
+}
+
+// ─── Recompute schedules ────────────────────────────────────────────────────
+
+/**
+ * Replay a card's review log through a scheduler, starting at its most recent
+ * New review (so after a reset only the reviews since count).
+ * @param {import('ts-fsrs').FSRS} scheduler
+ * @param {ReviewLogEntry[]} log
+ * @returns {import('ts-fsrs').Card | null} null if the log doesn't contain a New review
+ */
+export function replayReviewLog(scheduler, log) {
+	const sorted = [...log].sort((a, b) => a.review.getTime() - b.review.getTime());
+	let start = -1;
+	for (let i = sorted.length - 1; i >= 0; i--) {
+		if (sorted[i].state === 0) {
+			start = i;
+			break;
+		}
+	}
+	if (start < 0) return null;
+
+	const reviews = sorted.slice(start).map(e => ({
+		rating: /** @type {import('ts-fsrs').Grade} */ (e.rating),
+		review: e.review,
+	}));
+	const { collections } = scheduler.reschedule(createEmptyCard(sorted[start].review), reviews);
+	return collections[collections.length - 1].card;
+}
+
+/**
+ * Summarize how due dates would move, e.g. for a recompute preview. Shifts
+ * under a minute don't count as moves.
+ * @param {{ before: Date, after: Date }[]} changes
+ * @returns {{ total: number, moved: number, earlier: number, later: number, meanShiftDays: number, maxShiftDays: number }}
+ */
+export function summarizeDueShifts(changes) {
+	let moved = 0;
+	let earlier = 0;
+	let sumDays = 0;
+	let maxDays = 0;
+	for (const { before, after } of changes) {
+		const diff = after.getTime() - before.getTime();
+		if (Math.abs(diff) < 60 * 1000) continue;
+		moved++;
+		if (diff < 0) earlier++;
+		const days = Math.abs(diff) / DAY_MS;
+		sumDays += days;
+		maxDays = Math.max(maxDays, days);
+	}
+	return {
+		total: changes.length,
+		moved,
+		earlier,
+		later: moved - earlier,
+		meanShiftDays: moved ? sumDays / moved : 0,
+		maxShiftDays: maxDays,
+	};
+}
+
+/**
+ * Normalize an answer for comparison: trim and collapse whitespace.
+ * @param {string} str
+ * @returns {string}
+ */
+export function normalizeAnswer(str) {
+	return str.trim().replace(/\s+/g, ' ');
+}
+
+/**
+ * Character-level diff between an expected and a typed string (LCS based).
+ * Returns runs of "equal" (in both), "missing" (only in expected) and
+ * "extra" (only in typed) text, in reading order.
+ * @param {string} expected
+ * @param {string} typed
+ * @returns {{ type: 'equal' | 'missing' | 'extra', text: string }[]}
+ */
+export function diffChars(expected, typed) {
+	const a = [...expected];
+	const b = [...typed];
+	const n = a.length;
+	const m = b.length;
+
+	// lcs[i][j] = length of the longest common subsequence of a[i:] and b[j:]
+	const lcs = Array.from({ length: n + 1 }, () => new Array(m + 1).fill(0));
+	for (let i = n - 1; i >= 0; i--) {
+		for (let j = m - 1; j >= 0; j--) {
+			lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+		}
+	}
+
+	/** @type {{ type: 'equal' | 'missing' | 'extra', text: string }[]} */
+	const ops = [];
+	const push = (/** @type {'equal' | 'missing' | 'extra'} */ type, /** @type {string} */ ch) => {
+		const last = ops[ops.length - 1];
+		if (last && last.type === type) last.text += ch;
+		else ops.push({ type, text: ch });
+	};
+
+	let i = 0;
+	let j = 0;
+	while (i < n && j < m) {
+		if (a[i] === b[j]) {
+			push('equal', a[i]);
+			i++;
+			j++;
+		} else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+			push('missing', a[i++]);
+		} else {
+			push('extra', b[j++]);
+		}
+	}
+	while (i < n) push('missing', a[i++]);
+	while (j < m) push('extra', b[j++]);
+	return ops;
+}
+
+/**
+ * Levenshtein edit distance between two strings.
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+export function levenshtein(a, b) {
+	const s = [...a];
+	const t = [...b];
+	let prev = Array.from({ length: t.length + 1 }, (_, j) => j);
+	for (let i = 1; i <= s.length; i++) {
+		const cur = [i];
+		for (let j = 1; j <= t.length; j++) {
+			const cost = s[i - 1] === t[j - 1] ? 0 : 1;
+			cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + cost);
+		}
+		prev = cur;
+	}
+	return prev[t.length];
+}
+
+/**
+ * Suggest a rating for a typed answer, using ts-fsrs Rating values:
+ * an exact match is Good (3), a close one Hard (2), anything else Again (1).
+ * "Close" means equal ignoring case, or at most 20% of characters wrong.
+ * @param {string} expected
+ * @param {string} typed
+ * @returns {1 | 2 | 3}
+ */
+export function suggestRating(expected, typed) {
+	const e = normalizeAnswer(expected);
+	const t = normalizeAnswer(typed);
+	if (!t) return 1;
+	if (e === t) return 3;
+	if (e.toLowerCase() === t.toLowerCase()) return 2;
+	const dist = levenshtein(e.toLowerCase(), t.toLowerCase());
+	return dist / Math.max(e.length, 1) <= 0.2 ? 2 : 1;
+}
+
 /**
  * Format a scheduled interval for display.
  * @param {import('ts-fsrs').Card} card
@@ -2,6 +2,7 @@ import { describe, it } from 'node:test';
 import assert from 'node:assert/strict';
 import {
 	SEPARATOR,
+	BIDI_SEPARATOR,
 	META_PREFIX,
 	META,
 	segmentsToText,
@@ -14,10 +15,77 @@ import {
 	truncateBreadcrumbs,
 	metaToCard,
 	cardToMetaProps,
+	forgetCardProps,
+	untrackCardProps,
 	formatInterval,
 	formatDueDate,
 	formatLastPracticed,
+	trimSegments,
+	splitSegments,
+	gatherChildren,
+	OCCLUSION_META,
+	parseOcclusions,
+	occlusionVariant,
+	lineItemMedia,
+	mediaLabel,
+	metaKeys,
+	hasCloze,
+	parseClozeParts,
+	clozeToText,
+	parseCards,
+	normalizeAnswer,
+	diffChars,
+	levenshtein,
+	suggestRating,
+	encodeReviewLogEntry,
+	decodeReviewLog,
+	readReviewLog,
+	appendReviewLogProps,
+	reviewSequences,
+	fsrsLogLoss,
+	optimizeWeights,
+	replayReviewLog,
+	summarizeDueShifts,
+	DEFAULT_SETTINGS,
+	parseSteps,
+	validateSettings,
+	fsrsParameters,
+	validatePresets,
+	buildPresetIndex,
+	dayKey,
+	countStudiedOn,
+	applyDailyLimits,
+	isSessionLearning,
+	nextDueLearning,
+	metaSnapshot,
+	FLAG_COLORS,
+	readCardStatus,
+	cardStatusProps,
+	nextFlag,
+	isLeechLapse,
+	lineItemTags,
+	failedWithin,
+	SESSION_ORDERS,
+	orderSession,
+	countDueByDay,
+	spreadBacklog,
+	moveDue,
+	balanceDue,
+	staleIndexRecords,
+	noteStamp,
+	untrackedCards,
+	cardFingerprint,
+	fingerprintProps,
+	isCardChanged,
+	metaVariants,
+	metaProblems,
+	findIntegrityIssues,
+	DUE_RANGES,
+	inDueRange,
+	matchesSearch,
+	sortRows,
 } from './lib.js';
+import { createEmptyCard, default_w, fsrs } from 'ts-fsrs';
 
 // ─── Test helpers ───────────────────────────────────────────────────────────
 
@@ -50,6 +118,10 @@ describe('Constants', () => {
 		assert.equal(SEPARATOR, '::');
 	});
 
+	it('BIDI_SEPARATOR is ":::"', () => {
+		assert.equal(BIDI_SEPARATOR, ':::');
+	});
+
 	it('META_PREFIX is "fc_"', () => {
 		assert.equal(META_PREFIX, 'fc_');
 	});
@@ -63,7 +135,8 @@ describe('Constants', () => {
 	it('META has all expected keys', () => {
 		const expected = [
 			'due', 'stability', 'difficulty', 'reps', 'lapses',
-			'state', 'last_review', 'elapsed_days', 'scheduled_days', 'learning_steps',
+			'state', 'last_review', 'elapsed_days', 'scheduled_days', 'learning_steps', 'log',
+			'suspended', 'buried', 'flag', 'leech',
 		];
 		for (const key of expected) {
 			assert.ok(key in META, `META should have key "${key}"`);
@@ -184,6 +257,179 @@ describe('gatherChildrenText', () => {
 	});
 });
 
+// ─── trimSegments ───────────────────────────────────────────────────────────
+
+describe('trimSegments', () => {
+	it('trims the outer text segments', () => {
+		const segs = [{ type: 'text', text: '  a ' }, { type: 'bold', text: 'b' }, { type: 'text', text: ' c  ' }];
+		assert.deepEqual(trimSegments(segs), [
+			{ type: 'text', text: 'a ' },
+			{ type: 'bold', text: 'b' },
+			{ type: 'text', text: ' c' },
+		]);
+	});
+
+	it('drops whitespace-only text segments at the edges', () => {
+		const segs = [{ type: 'text', text: ' ' }, { type: 'code', text: 'x' }, { type: 'text', text: '  ' }];
+		assert.deepEqual(trimSegments(segs), [{ type: 'code', text: 'x' }]);
+	});
+
+	it('does not mutate the input', () => {
+		const segs = [{ type: 'text', text: ' a ' }];
+		trimSegments(segs);
+		assert.equal(segs[0].text, ' a ');
+	});
+});
+
+// ─── splitSegments ──────────────────────────────────────────────────────────
+
+describe('splitSegments', () => {
+	it('returns null when the separator is missing', () => {
+		assert.equal(splitSegments([{ type: 'text', text: 'no separator' }], '::'), null);
+	});
+
+	it('splits a single text segment', () => {
+		assert.deepEqual(splitSegments([{ type: 'text', text: 'Q :: A' }], '::'), {
+			before: [{ type: 'text', text: 'Q' }],
+			after: [{ type: 'text', text: 'A' }],
+		});
+	});
+
+	it('keeps formatted segments on their side', () => {
+		const segs = [
+			{ type: 'bold', text: 'Q' },
+			{ type: 'text', text: ' :: ' },
+			{ type: 'ref', text: 'rec-guid' },
+		];
+		assert.deepEqual(splitSegments(segs, '::'), {
+			before: [{ type: 'bold', text: 'Q' }],
+			after: [{ type: 'ref', text: 'rec-guid' }],
+		});
+	});
+
+	it('cuts a segment that spans the separator', () => {
+		const segs = [{ type: 'italic', text: 'front ::: back' }];
+		assert.deepEqual(splitSegments(segs, ':::'), {
+			before: [{ type: 'italic', text: 'front ' }],
+			after: [{ type: 'italic', text: ' back' }],
+		});
+	});
+});
+
+// ─── Media ──────────────────────────────────────────────────────────────────
+
+describe('lineItemMedia', () => {
+	it('returns null for text line items', () => {
+		assert.equal(lineItemMedia({ ...mkLineItem('text'), type: 'text' }), null);
+		assert.equal(lineItemMedia(mkLineItem('no type')), null);
+	});
+
+	it('extracts url, name and mime from props', () => {
+		const li = { ...mkLineItem(''), type: 'media', props: { url: 'https://x/a.mp3', name: 'a.mp3', mime: 'audio/mpeg' } };
+		assert.deepEqual(lineItemMedia(li), { kind: 'media', url: 'https://x/a.mp3', name: 'a.mp3', mime: 'audio/mpeg' });
+	});
+
+	it('uses inline image data as the url', () => {
+		const imgData = 'data:image/png;base64,iVBORw0KGgo=';
+		const li = { ...mkLineItem(''), type: 'image', props: { name: 'dot.png', guid: null, imgData, imgUrl: null } };
+		assert.deepEqual(lineItemMedia(li), { kind: 'image', url: imgData, name: 'dot.png', mime: null });
+	});
+
+	it('has no url for a file kept in a blob', () => {
+		const li = { ...mkLineItem(''), type: 'file', props: { name: 'notes.pdf', guid: 'BLOB1', imgData: null, imgUrl: null } };
+		const media = lineItemMedia(li);
+		assert.equal(media.url, null);
+		assert.equal(mediaLabel(media), '[File: notes.pdf]');
+	});
+
+	it('falls back to the caption as name', () => {
+		const li = { ...mkLineItem('Heart diagram'), type: 'image' };
+		const media = lineItemMedia(li);
+		assert.equal(media.kind, 'image');
+		assert.equal(media.url, null);
+		assert.equal(media.name, 'Heart diagram');
+	});
+});
+
+describe('mediaLabel', () => {
+	it('includes the kind and name', () => {
+		assert.equal(mediaLabel({ kind: 'image', url: null, name: 'heart.png', mime: null }), '[Image: heart.png]');
+	});
+
+	it('omits an empty name', () => {
+		assert.equal(mediaLabel({ kind: 'file', url: null, name: '', mime: null }), '[File]');
+	});
+});
+
+describe('gatherChildren', () => {
+	it('includes image children that have no text', () => {
+		const img = { ...mkLineItem(''), type: 'image', props: { url: 'https://x/heart.png', name: 'heart.png' } };
+		const li = mkLineItem('Label the diagram ::', { children: [img, mkLineItem('Left ventricle')] });
+		const lines = gatherChildren(li);
+		assert.equal(lines.length, 2);
+		assert.equal(lines[0].text, '[Image: heart.png]');
+		assert.equal(lines[0].media.url, 'https://x/heart.png');
+		assert.equal(lines[1].text, 'Left ventricle');
+		assert.deepEqual(lines[1].segments, [{ type: 'text', text: 'Left ventricle' }]);
+	});
+});
+
+// ─── Image occlusion ────────────────────────────────────────────────────────
+
+describe('parseOcclusions', () => {
+	/** Build an image line item with occlusion meta. */
+	function mkImage(rects, mode) {
+		return {
+			...mkLineItem(''),
+			type: 'image',
+			props: {
+				url: 'https://x/heart.png',
+				[OCCLUSION_META.rects]: typeof rects === 'string' ? rects : JSON.stringify(rects),
+				...(mode ? { [OCCLUSION_META.mode]: mode } : {}),
+			},
+		};
+	}
+
+	it('returns no regions and "one" mode without meta', () => {
+		assert.deepEqual(parseOcclusions(mkLineItem('')), { mode: 'one', rects: [] });
+	});
+
+	it('parses stored regions and mode', () => {
+		const rects = [{ id: 1, x: 0.1, y: 0.2, w: 0.3, h: 0.4, label: 'Aorta' }];
+		assert.deepEqual(parseOcclusions(mkImage(rects, 'all')), { mode: 'all', rects });
+	});
+
+	it('ignores invalid JSON', () => {
+		assert.deepEqual(parseOcclusions(mkImage('{not json')).rects, []);
+	});
+
+	it('drops malformed regions and clamps geometry', () => {
+		const { rects } = parseOcclusions(mkImage([
+			{ id: 1, x: -0.5, y: 0, w: 2, h: 0.5 },
+			{ id: 'x', x: 0, y: 0, w: 1, h: 1 },
+			{ id: 3, x: 0, y: 0, w: 0, h: 0.5 },
+			{ id: 4, x: 'a', y: 0, w: 1, h: 1 },
+		]));
+		assert.deepEqual(rects, [{ id: 1, x: 0, y: 0, w: 1, h: 0.5 }]);
+	});
+
+	it('yields one card per region from parseCards', () => {
+		const li = mkImage([
+			{ id: 1, x: 0, y: 0, w: 0.5, h: 0.5, label: 'Aorta' },
+			{ id: 2, x: 0.5, y: 0.5, w: 0.5, h: 0.5 },
+		]);
+		const cards = parseCards(li);
+		assert.equal(cards.length, 2);
+		assert.equal(cards[0].variant, occlusionVariant(1));
+		assert.equal(cards[0].keys.due, 'fc_o1_due');
+		assert.equal(cards[0].answer, 'Aorta');
+		assert.ok(!cards[0].question.includes('Aorta'));
+		assert.equal(cards[0].occlusion.active, 1);
+		assert.equal(cards[0].occlusion.rects.length, 2);
+		assert.equal(cards[1].answer, 'Region 2');
+	});
+});
+
 // ─── parseFlashcard ─────────────────────────────────────────────────────────
 
 describe('parseFlashcard', () => {
@@ -278,6 +524,13 @@ describe('parseFlashcard', () => {
 		assert.equal(fc.answer, 'A :: B');
 	});
 
+	it('accepts a custom separator', () => {
+		const fc = parseFlashcard(mkLineItem('chien ::: dog'), ':::');
+		assert.ok(fc);
+		assert.equal(fc.question, 'chien');
+		assert.equal(fc.answer, 'dog');
+	});
+
 	it('works with multi-segment line items', () => {
 		const li = mkMultiSegLineItem(['Capital of ', 'France', ' :: Paris']);
 		const fc = parseFlashcard(li);
@@ -287,6 +540,201 @@ describe('parseFlashcard', () => {
 	});
 });
 
+// ─── metaKeys ───────────────────────────────────────────────────────────────
+
+describe('metaKeys', () => {
+	it('returns META for an empty variant', () => {
+		assert.equal(metaKeys(''), META);
+		assert.equal(metaKeys(), META);
+	});
+
+	it('namespaces every key under the variant', () => {
+		const keys = metaKeys('c2');
+		assert.deepEqual(Object.keys(keys), Object.keys(META));
+		assert.equal(keys.due, 'fc_c2_due');
+		assert.equal(keys.last_review, 'fc_c2_last_review');
+	});
+});
+
+// ─── Cloze ──────────────────────────────────────────────────────────────────
+
+describe('hasCloze', () => {
+	it('detects cloze markers', () => {
+		assert.equal(hasCloze('The {{c1::sun}} is hot'), true);
+		assert.equal(hasCloze('{{c12::x::hint}}'), true);
+	});
+
+	it('returns false for plain and Q :: A text', () => {
+		assert.equal(hasCloze('Capital of France :: Paris'), false);
+		assert.equal(hasCloze('{{not a cloze}}'), false);
+	});
+});
+
+describe('parseClozeParts', () => {
+	it('splits text into plain and cloze parts', () => {
+		assert.deepEqual(parseClozeParts('The {{c1::sun}} is {{c2::hot::temperature}}.'), [
+			{ text: 'The ' },
+			{ text: 'sun', cloze: 1 },
+			{ text: ' is ' },
+			{ text: 'hot', cloze: 2, hint: 'temperature' },
+			{ text: '.' },
+		]);
+	});
+
+	it('returns a single plain part when there are no clozes', () => {
+		assert.deepEqual(parseClozeParts('plain'), [{ text: 'plain' }]);
+	});
+});
+
+describe('clozeToText', () => {
+	const parts = parseClozeParts('{{c1::Paris}} is the capital of {{c2::France::country}}');
+
+	it('blanks the active cloze and shows the others', () => {
+		assert.equal(clozeToText(parts, 1), '[…] is the capital of France');
+	});
+
+	it('uses the hint as the blank when present', () => {
+		assert.equal(clozeToText(parts, 2), 'Paris is the capital of [country]');
+	});
+
+	it('shows everything when revealed', () => {
+		assert.equal(clozeToText(parts, 1, true), 'Paris is the capital of France');
+	});
+});
+
+// ─── parseCards ─────────────────────────────────────────────────────────────
+
+describe('parseCards', () => {
+	it('returns a single default-variant card for Q :: A', () => {
+		const cards = parseCards(mkLineItem('Capital of France :: Paris'));
+		assert.equal(cards.length, 1);
+		assert.equal(cards[0].variant, '');
+		assert.equal(cards[0].keys, META);
+		assert.equal(cards[0].question, 'Capital of France');
+		assert.equal(cards[0].answer, 'Paris');
+	});
+
+	it('returns an empty array for non-card lines', () => {
+		assert.deepEqual(parseCards(mkLineItem('Just some text')), []);
+	});
+
+	it('returns one card per cloze number', () => {
+		const li = mkLineItem('{{c1::Paris}} is the capital of {{c2::France}}');
+		const cards = parseCards(li);
+		assert.equal(cards.length, 2);
+		assert.equal(cards[0].variant, 'c1');
+		assert.equal(cards[0].keys.due, 'fc_c1_due');
+		assert.equal(cards[0].question, '[…] is the capital of France');
+		assert.equal(cards[0].answer, 'Paris');
+		assert.equal(cards[0].cloze.number, 1);
+		assert.equal(cards[1].variant, 'c2');
+		assert.equal(cards[1].question, 'Paris is the capital of […]');
+		assert.equal(cards[1].answer, 'France');
+	});
+
+	it('groups repeated cloze numbers into one card', () => {
+		const cards = parseCards(mkLineItem('{{c1::A}} and {{c1::B}} then {{c2::C}}'));
+		assert.equal(cards.length, 2);
+		assert.equal(cards[0].question, '[…] and […] then C');
+		assert.equal(cards[0].answer, 'A, B');
+	});
+
+	it('takes cloze precedence over the :: separator', () => {
+		const cards = parseCards(mkLineItem('The {{c1::sun}} is a star'));
+		assert.equal(cards.length, 1);
+		assert.equal(cards[0].variant, 'c1');
+	});
+
+	it('returns a forward and a reverse card for Front ::: Back', () => {
+		const cards = parseCards(mkLineItem('chien ::: dog'));
+		assert.equal(cards.length, 2);
+		assert.equal(cards[0].variant, '');
+		assert.equal(cards[0].keys, META);
+		assert.equal(cards[0].question, 'chien');
+		assert.equal(cards[0].answer, 'dog');
+		assert.ok(!cards[0].reverse);
+		assert.equal(cards[1].variant, 'r');
+		assert.equal(cards[1].keys.due, 'fc_r_due');
+		assert.equal(cards[1].question, 'dog');
+		assert.equal(cards[1].answer, 'chien');
+		assert.equal(cards[1].reverse, true);
+	});
+
+	it('keeps children on the forward card only', () => {
+		const li = mkLineItem('chien ::: dog', {
+			children: [mkLineItem('masculine noun')],
+		});
+		const [forward, reverse] = parseCards(li);
+		assert.equal(forward.answer, 'dog\nmasculine noun');
+		assert.equal(reverse.answerLines.length, 1);
+		assert.equal(reverse.answerLines[0].text, 'chien');
+		assert.equal(reverse.answerLines[0].inline, true);
+	});
+
+	it('skips the reverse card when there is no inline back', () => {
+		const li = mkLineItem('Phases of mitosis :::', {
+			children: [mkLineItem('Prophase')],
+		});
+		const cards = parseCards(li);
+		assert.equal(cards.length, 1);
+		assert.equal(cards[0].question, 'Phases of mitosis');
+	});
+
+	it('attaches formatted segments to question and answer lines', () => {
+		const li = mkMultiSegLineItem([
+			'What is ',
+			{ type: 'bold', text: 'HTTP' },
+			' :: A ',
+			{ type: 'code', text: 'protocol' },
+		], {
+			children: [mkMultiSegLineItem([{ type: 'italic', text: 'detail' }])],
+		});
+		const [card] = parseCards(li);
+		assert.deepEqual(card.questionSegments, [
+			{ type: 'text', text: 'What is ' },
+			{ type: 'bold', text: 'HTTP' },
+		]);
+		assert.deepEqual(card.answerLines[0].segments, [
+			{ type: 'text', text: 'A ' },
+			{ type: 'code', text: 'protocol' },
+		]);
+		assert.deepEqual(card.answerLines[1].segments, [{ type: 'italic', text: 'detail' }]);
+	});
+
+	it('swaps segments for the reverse card', () => {
+		const li = mkMultiSegLineItem([{ type: 'bold', text: 'chien' }, ' ::: dog']);
+		const [, reverse] = parseCards(li);
+		assert.deepEqual(reverse.questionSegments, [{ type: 'text', text: 'dog' }]);
+		assert.deepEqual(reverse.answerLines[0].segments, [{ type: 'bold', text: 'chien' }]);
+	});
+
+	it('accepts a media child as the whole answer', () => {
+		const audio = { ...mkLineItem(''), type: 'media', props: { url: 'https://x/bonjour.mp3' } };
+		const [card] = parseCards(mkLineItem('Pronounce "bonjour" ::', { children: [audio] }));
+		assert.ok(card);
+		assert.equal(card.answerLines.length, 1);
+		assert.equal(card.answerLines[0].media.url, 'https://x/bonjour.mp3');
+	});
+
+	it('shows the image of an image line with a Q :: A caption as question media', () => {
+		const li = { ...mkLineItem('Which organ? :: Liver'), type: 'image', props: { url: 'https://x/liver.png' } };
+		const [card] = parseCards(li);
+		assert.equal(card.question, 'Which organ?');
+		assert.equal(card.questionMedia.url, 'https://x/liver.png');
+	});
+
+	it('keeps children as extra answer lines for cloze cards', () => {
+		const li = mkLineItem('The {{c1::sun}} is a star', {
+			children: [mkLineItem('Closest star to Earth')],
+		});
+		const [card] = parseCards(li);
+		assert.deepEqual(card.answerLines.map(({ text, depth, inline }) => ({ text, depth, inline })), [
+			{ text: 'sun', depth: 0, inline: true },
+			{ text: 'Closest star to Earth', depth: 0, inline: undefined },
+		]);
+	});
+});
+
 // ─── hasCardMeta ────────────────────────────────────────────────────────────
 
 describe('hasCardMeta', () => {
@@ -321,6 +769,89 @@ describe('hasCardMeta', () => {
 		// 0 != null is true, so hasCardMeta returns true
 		assert.equal(hasCardMeta(li), true);
 	});
+
+	it('checks the keys of the given variant', () => {
+		const li = mkLineItem('{{c1::a}} {{c2::b}}', {
+			props: { fc_c1_due: '2025-01-01T00:00:00.000Z' },
+		});
+		assert.equal(hasCardMeta(li, metaKeys('c1')), true);
+		assert.equal(hasCardMeta(li, metaKeys('c2')), false);
+		assert.equal(hasCardMeta(li), false);
+	});
+});
+
+describe('untrackedCards', () => {
+	const due = '2025-01-01T00:00:00.000Z';
+
+	it('lists the cards of a line that have no meta yet', () => {
+		const li = mkLineItem('{{c1::a}} {{c2::b}}', { props: { fc_c1_due: due } });
+		const lines = [{ lineItem: li, record: { guid: 'r1' }, cards: [{ keys: metaKeys('c1') }, { keys: metaKeys('c2') }] }];
+		assert.deepEqual(untrackedCards(lines).map(c => c.fc.keys), [metaKeys('c2')]);
+	});
+
+	it('skips excluded notes', () => {
+		const lines = [
+			{ lineItem: mkLineItem('Q :: A'), record: { guid: 'r1' }, cards: [{ keys: META }] },
+			{ lineItem: mkLineItem('X :: Y'), record: { guid: 'r2' }, cards: [{ keys: META }] },
+		];
+		assert.deepEqual(untrackedCards(lines, new Set(['r1'])).map(c => c.lineItem), [lines[1].lineItem]);
+	});
+
+	it('skips excluded lines', () => {
+		const lines = [
+			{ lineItem: mkLineItem('Q :: A', { guid: 'l1' }), record: { guid: 'r1' }, cards: [{ keys: META }] },
+			{ lineItem: mkLineItem('X :: Y', { guid: 'l2' }), record: { guid: 'r1' }, cards: [{ keys: META }] },
+		];
+		assert.deepEqual(untrackedCards(lines, new Set(), new Set(['l1'])).map(c => c.lineItem), [lines[1].lineItem]);
+	});
+});
+
+// ─── staleIndexRecords ──────────────────────────────────────────────────────
+
+describe('noteStamp', () => {
+	it('changes when only a child line of a card is edited', () => {
+		// The search for "::" finds the card line unchanged…
+		const indexed = new Map([['card', { recordGuid: 'r1', updatedAt: 100, searchable: true }]]);
+		assert.deepEqual([...staleIndexRecords(indexed, [{ guid: 'card', recordGuid: 'r1', updatedAt: 100 }])], []);
+
+		// …but the note's stamp tells the answer line below it changed
+		const before = noteStamp([{ guid: 'card', updatedAt: 100 }, { guid: 'answer', updatedAt: 100 }]);
+		const after = noteStamp([{ guid: 'card', updatedAt: 100 }, { guid: 'answer', updatedAt: 200 }]);
+		assert.notEqual(before, after);
+	});
+
+	it('changes when a line is added or removed', () => {
+		const lines = [{ guid: 'a', updatedAt: 1 }, { guid: 'b', updatedAt: 1 }];
+		assert.equal(noteStamp(lines), noteStamp([...lines]));
+		assert.notEqual(noteStamp(lines), noteStamp(lines.slice(0, 1)));
+	});
+});
+
+describe('staleIndexRecords', () => {
+	const indexed = new Map([
+		['l1', { recordGuid: 'r1', updatedAt: 100, searchable: true }],
+		['l2', { recordGuid: 'r2', updatedAt: 100, searchable: true }],
+		['img', { recordGuid: 'r3', updatedAt: 100, searchable: false }],
+	]);
+
+	it('finds nothing when every line is unchanged', () => {
+		const found = [{ guid: 'l1', recordGuid: 'r1', updatedAt: 100 }, { guid: 'l2', recordGuid: 'r2', updatedAt: 100 }];
+		assert.deepEqual([...staleIndexRecords(indexed, found)], []);
+	});
+
+	it('flags notes with new or edited lines', () => {
+		const found = [
+			{ guid: 'l1', recordGuid: 'r1', updatedAt: 200 },
+			{ guid: 'l2', recordGuid: 'r2', updatedAt: 100 },
+			{ guid: 'l9', recordGuid: 'r9', updatedAt: 50 },
+		];
+		assert.deepEqual([...staleIndexRecords(indexed, found)].sort(), ['r1', 'r9']);
+	});
+
+	it('flags notes whose separator lines are gone, but not unsearchable lines', () => {
+		const found = [{ guid: 'l1', recordGuid: 'r1', updatedAt: 100 }];
+		assert.deepEqual([...staleIndexRecords(indexed, found)], ['r2']);
+	});
 });
 
 // ─── buildAncestorBreadcrumb ────────────────────────────────────────────────
@@ -589,6 +1120,1097 @@ describe('cardToMetaProps', () => {
 		assert.equal(reconstructed.state, original.state);
 		assert.equal(reconstructed.last_review.toISOString(), original.last_review.toISOString());
 	});
+
+	it('round-trips through metaToCard under variant keys', () => {
+		const keys = metaKeys('c3');
+		const original = {
+			due: new Date('2025-06-05T12:00:00.000Z'),
+			stability: 4.5,
+			difficulty: 5.2,
+			elapsed_days: 3,
+			scheduled_days: 4,
+			reps: 2,
+			lapses: 1,
+			learning_steps: 0,
+			state: 2,
+			last_review: new Date('2025-06-01T12:00:00.000Z'),
+		};
+		const props = cardToMetaProps(original, keys);
+		assert.ok(Object.keys(props).every(k => k.startsWith('fc_c3_')));
+
+		const li = mkLineItem('{{c3::x}}', { props });
+		const reconstructed = metaToCard(li, keys);
+		assert.equal(reconstructed.due.toISOString(), original.due.toISOString());
+		assert.equal(reconstructed.stability, original.stability);
+		assert.equal(reconstructed.lapses, original.lapses);
+		// Default keys see nothing
+		assert.equal(metaToCard(li).reps, 0);
+	});
+});
+
+describe('forgetCardProps', () => {
+	it('resets the schedule and the leech mark but keeps the log and flag', () => {
+		const now = new Date('2025-03-01T00:00:00.000Z');
+		const props = forgetCardProps(metaKeys('r'), now);
+		assert.equal(props.fc_r_due, now.toISOString());
+		assert.equal(props.fc_r_reps, 0);
+		assert.equal(props.fc_r_state, 0);
+		assert.equal(props.fc_r_leech, null);
+		assert.ok(!('fc_r_log' in props));
+		assert.ok(!('fc_r_flag' in props));
+	});
+});
+
+describe('untrackCardProps', () => {
+	it('deletes every meta key of the variant', () => {
+		const props = untrackCardProps(metaKeys('c1'));
+		assert.deepEqual(Object.keys(props), Object.values(metaKeys('c1')));
+		assert.ok(Object.values(props).every(v => v === null));
+	});
+});
+
+// ─── Content fingerprints ───────────────────────────────────────────────────
+
+describe('cardFingerprint', () => {
+	it('ignores whitespace but not wording', () => {
+		const fc = { question: 'Capital of France', answer: 'Paris' };
+		assert.equal(cardFingerprint(fc), cardFingerprint({ question: ' Capital  of\nFrance ', answer: 'Paris' }));
+		assert.notEqual(cardFingerprint(fc), cardFingerprint({ question: 'Capital of France', answer: 'Lyon' }));
+	});
+
+	it('tells the question and the answer apart', () => {
+		assert.notEqual(cardFingerprint({ question: 'a b', answer: 'c' }), cardFingerprint({ question: 'a', answer: 'b c' }));
+	});
+});
+
+describe('isCardChanged', () => {
+	const fc = { question: 'Q', answer: 'A', keys: metaKeys('c1') };
+
+	it('compares the stored fingerprint with the current content', () => {
+		assert.equal(isCardChanged(mkLineItem('x', { props: fingerprintProps(fc) }), fc), false);
+		assert.equal(isCardChanged(mkLineItem('x', { props: fingerprintProps({ ...fc, answer: 'B' }) }), fc), true);
+	});
+
+	it('does not flag cards without a fingerprint', () => {
+		assert.equal(isCardChanged(mkLineItem('x'), fc), false);
+	});
+
+	it('uses the keys of the card variant', () => {
+		assert.deepEqual(Object.keys(fingerprintProps(fc)), ['fc_c1_hash']);
+	});
+});
+
+// ─── Card status ────────────────────────────────────────────────────────────
+
+describe('readCardStatus', () => {
+	const now = new Date(2026, 1, 10, 16, 0);
+
+	it('defaults to an active, unflagged card', () => {
+		assert.deepEqual(readCardStatus(mkLineItem('Q :: A'), META, now), {
+			suspended: false,
+			buried: false,
+			flag: null,
+			leech: false,
+		});
+	});
+
+	it('reads suspended and flag', () => {
+		const li = mkLineItem('Q :: A', { props: { [META.suspended]: true, [META.flag]: 'blue' } });
+		const status = readCardStatus(li, META, now);
+		assert.equal(status.suspended, true);
+		assert.equal(status.flag, 'blue');
+	});
+
+	it('keeps a card buried only until the next day', () => {
+		const li = mkLineItem('Q :: A', { props: { [META.buried]: '2026-02-10' } });
+		assert.equal(readCardStatus(li, META, now).buried, true);
+		assert.equal(readCardStatus(li, META, new Date(2026, 1, 11, 0, 1)).buried, false);
+	});
+
+	it('ignores unknown flag colors', () => {
+		const li = mkLineItem('Q :: A', { props: { [META.flag]: 'chartreuse' } });
+		assert.equal(readCardStatus(li, META, now).flag, null);
+	});
+
+	it('reads under variant keys', () => {
+		const keys = metaKeys('r');
+		const li = mkLineItem('a ::: b', { props: { [keys.suspended]: true } });
+		assert.equal(readCardStatus(li, keys, now).suspended, true);
+		assert.equal(readCardStatus(li, META, now).suspended, false);
+	});
+});
+
+describe('cardStatusProps', () => {
+	const now = new Date(2026, 1, 10, 16, 0);
+
+	it('only touches the given fields', () => {
+		assert.deepEqual(cardStatusProps({ suspended: true }, META, now), { [META.suspended]: true });
+	});
+
+	it('stores the day a card is buried', () => {
+		assert.deepEqual(cardStatusProps({ buried: true }, META, now), { [META.buried]: '2026-02-10' });
+	});
+
+	it('deletes keys when clearing', () => {
+		assert.deepEqual(cardStatusProps({ suspended: false, buried: false, flag: null }, META, now), {
+			[META.suspended]: null,
+			[META.buried]: null,
+			[META.flag]: null,
+		});
+	});
+
+	it('round-trips through readCardStatus', () => {
+		const keys = metaKeys('c2');
+		const li = mkLineItem('{{c2::x}}', { props: cardStatusProps({ buried: true, flag: 'red' }, keys, now) });
+		assert.deepEqual(readCardStatus(li, keys, now), { suspended: false, buried: true, flag: 'red', leech: false });
+	});
+});
+
+describe('isLeechLapse', () => {
+	it('triggers when a lapse reaches the threshold', () => {
+		assert.equal(isLeechLapse(7, 8, 8), true);
+		assert.equal(isLeechLapse(6, 7, 8), false);
+	});
+
+	it('needs a new lapse', () => {
+		assert.equal(isLeechLapse(8, 8, 8), false);
+	});
+
+	it('triggers again every half threshold', () => {
+		assert.equal(isLeechLapse(8, 9, 8), false);
+		assert.equal(isLeechLapse(11, 12, 8), true);
+		assert.equal(isLeechLapse(15, 16, 8), true);
+		assert.equal(isLeechLapse(3, 4, 3), false);
+		assert.equal(isLeechLapse(4, 5, 3), true);
+	});
+
+	it('is off with a threshold of 0', () => {
+		assert.equal(isLeechLapse(0, 1, 0), false);
+	});
+});
+
+describe('nextFlag', () => {
+	it('cycles through every color and back to none', () => {
+		const seen = [];
+		let flag = nextFlag(null);
+		while (flag) {
+			seen.push(flag);
+			flag = nextFlag(flag);
+		}
+		assert.deepEqual(seen, FLAG_COLORS);
+	});
+});
+
+// ─── Settings ───────────────────────────────────────────────────────────────
+
+describe('parseSteps', () => {
+	it('parses comma- and space-separated steps', () => {
+		assert.deepEqual(parseSteps('1m, 10m 1d'), ['1m', '10m', '1d']);
+	});
+
+	it('accepts arrays and normalizes case', () => {
+		assert.deepEqual(parseSteps(['5M', ' 2h ']), ['5m', '2h']);
+	});
+
+	it('allows no steps', () => {
+		assert.deepEqual(parseSteps(''), []);
+	});
+
+	it('rejects malformed or zero steps', () => {
+		assert.equal(parseSteps('1m, ten minutes'), null);
+		assert.equal(parseSteps('1.5m'), null);
+		assert.equal(parseSteps('0m'), null);
+		assert.equal(parseSteps('10s'), null);
+	});
+});
+
+describe('validateSettings', () => {
+	it('returns the defaults for empty input', () => {
+		const { settings, errors } = validateSettings();
+		assert.deepEqual(settings, DEFAULT_SETTINGS);
+		assert.deepEqual(errors, {});
+	});
+
+	it('accepts valid values, including strings from form fields', () => {
+		const { settings, errors } = validateSettings({
+			request_retention: '0.85',
+			maximum_interval: '3650',
+			learning_steps: '1m 5m',
+			relearning_steps: [],
+			enable_fuzz: false,
+			enable_short_term: false,
+		});
+		assert.deepEqual(errors, {});
+		assert.equal(settings.request_retention, 0.85);
+		assert.equal(settings.maximum_interval, 3650);
+		assert.deepEqual(settings.learning_steps, ['1m', '5m']);
+		assert.deepEqual(settings.relearning_steps, []);
+		assert.equal(settings.enable_fuzz, false);
+		assert.equal(settings.enable_short_term, false);
+	});
+
+	it('reports invalid fields and falls back to their defaults', () => {
+		const { settings, errors } = validateSettings({
+			request_retention: 1.2,
+			maximum_interval: 12.5,
+			learning_steps: 'soon',
+			enable_fuzz: 'yes',
+		});
+		assert.deepEqual(Object.keys(errors).sort(), ['enable_fuzz', 'learning_steps', 'maximum_interval', 'request_retention']);
+		assert.equal(settings.request_retention, DEFAULT_SETTINGS.request_retention);
+		assert.equal(settings.maximum_interval, DEFAULT_SETTINGS.maximum_interval);
+		assert.deepEqual(settings.learning_steps, DEFAULT_SETTINGS.learning_steps);
+		assert.equal(settings.enable_fuzz, DEFAULT_SETTINGS.enable_fuzz);
+	});
+
+	it('validates leech settings', () => {
+		assert.equal(validateSettings({ leech_threshold: '0' }).settings.leech_threshold, 0);
+		assert.equal(validateSettings({ leech_suspend: true }).settings.leech_suspend, true);
+		const { settings, errors } = validateSettings({ leech_threshold: -1, leech_suspend: 'on' });
+		assert.deepEqual(Object.keys(errors).sort(), ['leech_suspend', 'leech_threshold']);
+		assert.equal(settings.leech_threshold, 8);
+	});
+
+	it('validates load balancing', () => {
+		assert.equal(validateSettings({ load_balance: true }).settings.load_balance, true);
+		assert.ok(validateSettings({ load_balance: 1 }).errors.load_balance);
+	});
+
+	it('validates remembering card notes', () => {
+		assert.equal(validateSettings().settings.persist_index, false);
+		assert.equal(validateSettings({ persist_index: true }).settings.persist_index, true);
+		assert.ok(validateSettings({ persist_index: 'yes' }).errors.persist_index);
+	});
+
+	it('validates auto-detect settings', () => {
+		const { settings, errors } = validateSettings({ auto_detect: true, auto_detect_minutes: '30' });
+		assert.deepEqual(errors, {});
+		assert.equal(settings.auto_detect, true);
+		assert.equal(settings.auto_detect_minutes, 30);
+		assert.ok(validateSettings({ auto_detect_minutes: 0 }).errors.auto_detect_minutes);
+	});
+
+	it('validates session order settings', () => {
+		const { settings, errors } = validateSettings({ session_order: 'random', reviews_per_new: '4', avoid_same_note: true });
+		assert.deepEqual(errors, {});
+		assert.equal(settings.session_order, 'random');
+		assert.equal(settings.reviews_per_new, 4);
+		assert.equal(settings.avoid_same_note, true);
+
+		const bad = validateSettings({ session_order: 'alphabetical', reviews_per_new: 100 });
+		assert.deepEqual(Object.keys(bad.errors).sort(), ['reviews_per_new', 'session_order']);
+		assert.ok(SESSION_ORDERS.includes(bad.settings.session_order));
+	});
+
+	it('does not share default step arrays', () => {
+		const { settings } = validateSettings();
+		settings.learning_steps.push('1d');
+		assert.deepEqual(DEFAULT_SETTINGS.learning_steps, ['1m', '10m']);
+	});
+});
+
+describe('fsrsParameters', () => {
+	it('keeps only the fields ts-fsrs reads', () => {
+		assert.deepEqual(fsrsParameters({ ...DEFAULT_SETTINGS, w: [1, 2] }), {
+			request_retention: 0.9,
+			maximum_interval: 365,
+			learning_steps: ['1m', '10m'],
+			relearning_steps: ['10m'],
+			enable_fuzz: true,
+			enable_short_term: true,
+			w: [1, 2],
+		});
+	});
+
+	it('leaves out fields that are not set', () => {
+		assert.deepEqual(fsrsParameters({ maximum_interval: 30 }), { maximum_interval: 30 });
+	});
+});
+
+describe('validatePresets', () => {
+	it('keeps only the fields that are set', () => {
+		const { presets, errors } = validatePresets([
+			{ id: 'p1', name: ' Boards ', request_retention: '0.95', maximum_interval: '', learning_steps: '1m 10m 1h' },
+		]);
+		assert.deepEqual(errors, [{}]);
+		assert.deepEqual(presets, [{ id: 'p1', name: 'Boards', request_retention: 0.95, learning_steps: ['1m', '10m', '1h'] }]);
+	});
+
+	it('allows empty step lists', () => {
+		const { presets } = validatePresets([{ id: 'p1', name: 'Cram', learning_steps: [] }]);
+		assert.deepEqual(presets[0].learning_steps, []);
+	});
+
+	it('requires a name', () => {
+		const { errors } = validatePresets([{ id: 'p1', name: '  ' }]);
+		assert.ok(errors[0].name);
+	});
+
+	it('rejects duplicate names regardless of case', () => {
+		const { errors } = validatePresets([{ id: 'p1', name: 'Trivia' }, { id: 'p2', name: 'trivia' }]);
+		assert.deepEqual(errors[0], {});
+		assert.ok(errors[1].name);
+	});
+
+	it('reports invalid fields and leaves them out', () => {
+		const { presets, errors } = validatePresets([{ id: 'p1', name: 'Bad', request_retention: 2 }]);
+		assert.ok(errors[0].request_retention);
+		assert.equal('request_retention' in presets[0], false);
+	});
+
+	it('ignores settings presets cannot override', () => {
+		const { presets } = validatePresets([{ id: 'p1', name: 'X', enable_fuzz: false }]);
+		assert.deepEqual(presets[0], { id: 'p1', name: 'X' });
+	});
+});
+
+describe('buildPresetIndex', () => {
+	const presets = [{ id: 'boards', name: 'Boards' }, { id: 'trivia', name: 'Trivia' }];
+
+	it('applies a collection preset to its notes', () => {
+		const index = buildPresetIndex({ col: 'boards' }, presets, new Map([['col', ['n1', 'n2']]]));
+		assert.equal(index.get('n1'), 'boards');
+		assert.equal(index.get('n2'), 'boards');
+	});
+
+	it('lets a note preset override its collection', () => {
+		const index = buildPresetIndex({ col: 'boards', n2: 'trivia' }, presets, new Map([['col', ['n1', 'n2']]]));
+		assert.equal(index.get('n1'), 'boards');
+		assert.equal(index.get('n2'), 'trivia');
+	});
+
+	it('ignores unknown presets', () => {
+		const index = buildPresetIndex({ col: 'gone', n3: 'gone' }, presets, new Map([['col', ['n1']]]));
+		assert.equal(index.size, 0);
+	});
+});
+
+// ─── Daily limits ───────────────────────────────────────────────────────────
+
+describe('dayKey', () => {
+	it('formats the local calendar day', () => {
+		assert.equal(dayKey(new Date(2026, 1, 5, 23, 59)), '2026-02-05');
+		assert.equal(dayKey(new Date(2026, 11, 31, 0, 0)), '2026-12-31');
+	});
+});
+
+describe('countStudiedOn', () => {
+	const on = (h, rating, state) => ({ review: new Date(2026, 1, 10, h), rating, state, elapsed_days: 0, duration: 0 });
+	const before = (rating, state) => ({ review: new Date(2026, 1, 9, 12), rating, state, elapsed_days: 0, duration: 0 });
+
+	it('counts new cards and reviews per preset', () => {
+		const counts = countStudiedOn([
+			{ preset: null, log: [on(9, 3, 0), on(9, 3, 1)] },
+			{ preset: null, log: [before(3, 0), on(10, 3, 2)] },
+			{ preset: 'boards', log: [on(11, 1, 2), on(11, 3, 3)] },
+		], '2026-02-10');
+		assert.deepEqual(counts.get(''), { new: 1, reviews: 1 });
+		assert.deepEqual(counts.get('boards'), { new: 0, reviews: 1 });
+	});
+
+	it('ignores other days and learning steps', () => {
+		const counts = countStudiedOn([
+			{ preset: null, log: [before(3, 0)] },
+			{ preset: null, log: [before(3, 0), on(9, 3, 1)] },
+		], '2026-02-10');
+		assert.equal(counts.get('')?.new ?? 0, 0);
+		assert.equal(counts.get('')?.reviews ?? 0, 0);
+	});
+});
+
+describe('applyDailyLimits', () => {
+	const mk = (state, preset = null) => ({ preset, card: { state } });
+	const limits = { new_per_day: 2, reviews_per_day: 1 };
+
+	it('holds back new cards and reviews beyond the limits', () => {
+		const due = [mk(0), mk(2), mk(0), mk(0), mk(2), mk(1), mk(3)];
+		const { cards, heldNew, heldReviews } = applyDailyLimits(due, () => limits, new Map());
+		assert.deepEqual(cards, [due[0], due[1], due[2], due[5], due[6]]);
+		assert.equal(heldNew, 1);
+		assert.equal(heldReviews, 1);
+	});
+
+	it('subtracts what was already studied today', () => {
+		const due = [mk(0), mk(0), mk(2)];
+		const studied = new Map([['', { new: 1, reviews: 1 }]]);
+		const { cards, heldNew, heldReviews } = applyDailyLimits(due, () => limits, studied);
+		assert.deepEqual(cards, [due[0]]);
+		assert.equal(heldNew, 1);
+		assert.equal(heldReviews, 1);
+	});
+
+	it('keeps a separate allowance per preset', () => {
+		const due = [mk(0), mk(0), mk(0), mk(0, 'casual'), mk(0, 'casual')];
+		const limitsFor = (preset) => preset === 'casual' ? { new_per_day: 1, reviews_per_day: 0 } : limits;
+		const { cards, heldNew } = applyDailyLimits(due, limitsFor, new Map());
+		assert.deepEqual(cards, [due[0], due[1], due[3]]);
+		assert.equal(heldNew, 2);
+	});
+
+	it('never holds back learning cards', () => {
+		const due = [mk(1), mk(3)];
+		const { cards } = applyDailyLimits(due, () => ({ new_per_day: 0, reviews_per_day: 0 }), new Map());
+		assert.equal(cards.length, 2);
+	});
+});
+
+// ─── Learning queue ─────────────────────────────────────────────────────────
+
+describe('isSessionLearning', () => {
+	const now = new Date(2026, 1, 10, 15, 0);
+	const inMinutes = (m) => new Date(now.getTime() + m * 60000);
+
+	it('is true for learning and relearning cards due later today', () => {
+		assert.equal(isSessionLearning({ state: 1, due: inMinutes(1) }, now), true);
+		assert.equal(isSessionLearning({ state: 3, due: inMinutes(10) }, now), true);
+	});
+
+	it('is false for review cards', () => {
+		assert.equal(isSessionLearning({ state: 2, due: inMinutes(10) }, now), false);
+	});
+
+	it('is false for steps that land on another day', () => {
+		assert.equal(isSessionLearning({ state: 1, due: inMinutes(24 * 60) }, now), false);
+	});
+});
+
+describe('nextDueLearning', () => {
+	const now = new Date(2026, 1, 10, 15, 0);
+	const at = (m) => ({ card: { due: new Date(now.getTime() + m * 60000) } });
+
+	it('picks the card due soonest among those due', () => {
+		assert.equal(nextDueLearning([at(-1), at(-5), at(3)], now), 1);
+	});
+
+	it('returns -1 when nothing is due yet', () => {
+		assert.equal(nextDueLearning([at(1), at(10)], now), -1);
+		assert.equal(nextDueLearning([], now), -1);
+	});
+});
+
+// ─── Dashboard ──────────────────────────────────────────────────────────────
+
+describe('inDueRange', () => {
+	const now = new Date(2025, 4, 10, 15, 0);
+	const at = (/** @type {number} */ day, hour = 12) => new Date(2025, 4, day, hour);
+
+	it('splits overdue from due later today', () => {
+		assert.equal(inDueRange(at(9, 23), 'overdue', now), true);
+		assert.equal(inDueRange(at(10, 1), 'overdue', now), false);
+		assert.equal(inDueRange(at(10, 23), 'today', now), true);
+		assert.equal(inDueRange(at(11, 0), 'today', now), false);
+	});
+
+	it('counts the week and month from today, overdue included', () => {
+		assert.equal(inDueRange(at(1), 'week', now), true);
+		assert.equal(inDueRange(at(16), 'week', now), true);
+		assert.equal(inDueRange(at(17), 'week', now), false);
+		assert.equal(inDueRange(at(17), 'month', now), true);
+		assert.equal(inDueRange(new Date(2025, 5, 9, 12), 'month', now), false);
+		assert.equal(inDueRange(new Date(2025, 5, 9, 12), 'later', now), true);
+	});
+
+	it('lets any due date through for "any"', () => {
+		assert.ok(DUE_RANGES.includes('any'));
+		assert.equal(inDueRange(at(1), 'any', now), true);
+	});
+});
+
+describe('matchesSearch', () => {
+	it('needs every word somewhere in the texts, ignoring case', () => {
+		const texts = ['Capital of France', 'Paris', 'Geography'];
+		assert.equal(matchesSearch(texts, 'france paris'), true);
+		assert.equal(matchesSearch(texts, 'GEO'), true);
+		assert.equal(matchesSearch(texts, 'france lyon'), false);
+		assert.equal(matchesSearch(texts, '  '), true);
+	});
+});
+
+describe('sortRows', () => {
+	const rows = [{ k: 'Card 10' }, { k: null }, { k: 'card 2' }, { k: 'Card 1' }];
+
+	it('sorts strings naturally and keeps empty values last', () => {
+		assert.deepEqual(sortRows(rows, r => r.k, 'asc').map(r => r.k), ['Card 1', 'card 2', 'Card 10', null]);
+		assert.deepEqual(sortRows(rows, r => r.k, 'desc').map(r => r.k), ['Card 10', 'card 2', 'Card 1', null]);
+	});
+
+	it('sorts numbers and keeps ties in order', () => {
+		const nums = [{ n: 2, id: 'a' }, { n: 1, id: 'b' }, { n: 2, id: 'c' }];
+		assert.deepEqual(sortRows(nums, r => r.n, 'asc').map(r => r.id), ['b', 'a', 'c']);
+		assert.deepEqual(sortRows(nums, r => r.n, 'desc').map(r => r.id), ['a', 'c', 'b']);
+	});
+
+	it('does not change the input', () => {
+		sortRows(rows, r => r.k, 'asc');
+		assert.equal(rows[0].k, 'Card 10');
+	});
+});
+
+// ─── Integrity ──────────────────────────────────────────────────────────────
+
+describe('metaVariants', () => {
+	it('groups card meta keys by variant and skips other fc_ keys', () => {
+		const variants = metaVariants({
+			fc_due: 'x',
+			fc_last_review: 'x',
+			fc_c2_due: 'x',
+			fc_c2_learning_steps: 0,
+			fc_io_rects: '[]',
+			fc_flag: null,
+			other: 1,
+		});
+		assert.deepEqual([...variants.entries()], [
+			['', ['fc_due', 'fc_last_review']],
+			['c2', ['fc_c2_due', 'fc_c2_learning_steps']],
+		]);
+	});
+});
+
+describe('metaProblems', () => {
+	const props = cardToMetaProps(createEmptyCard(new Date('2025-01-01T00:00:00Z')));
+
+	it('accepts a freshly written schedule', () => {
+		assert.deepEqual(metaProblems(props), []);
+	});
+
+	it('reports values metaToCard would read as 0 or an Invalid Date', () => {
+		const problems = metaProblems({
+			...props,
+			[META.due]: 'soon',
+			[META.stability]: 'abc',
+			[META.state]: 7,
+			[META.reps]: null,
+			[META.log]: 'junk;1735689600000,3,0,0,0',
+		});
+		assert.deepEqual(problems, [
+			'Due date is not a date',
+			'Stability is not a valid number',
+			'Reviews is missing',
+			'State must be 0–3',
+			"1 review log entry can't be read",
+		]);
+	});
+});
+
+describe('findIntegrityIssues', () => {
+	const reviewed = {
+		...cardToMetaProps({ ...createEmptyCard(new Date('2025-01-01T00:00:00Z')), reps: 1, state: 2, last_review: new Date('2025-01-01T00:00:00Z') }),
+		[META.log]: '1735689600000,3,0,0,0',
+	};
+	const line = (/** @type {string} */ text, /** @type {Record<string, any>} */ props) => {
+		const lineItem = mkLineItem(text, { props });
+		return { lineItem, cards: parseCards(lineItem) };
+	};
+
+	it('reports a copied schedule on the copy only', () => {
+		const lines = [line('Q1 :: A', reviewed), line('Q2 :: B', reviewed)];
+		const issues = findIntegrityIssues(lines);
+		assert.deepEqual(issues.map(i => [i.kind, i.line, i.original]), [['copied', lines[1], lines[0]]]);
+	});
+
+	it('does not take new cards created together for copies', () => {
+		const fresh = cardToMetaProps(createEmptyCard(new Date('2025-01-01T00:00:00Z')));
+		assert.deepEqual(findIntegrityIssues([line('Q1 :: A', fresh), line('Q2 :: B', fresh)]), []);
+	});
+
+	it('reports duplicate questions, ignoring case and spacing', () => {
+		const fresh = cardToMetaProps(createEmptyCard(new Date()));
+		const lines = [line('Capital of France :: Paris', fresh), line('capital of  France :: Paris!', fresh)];
+		assert.deepEqual(findIntegrityIssues(lines).map(i => i.kind), ['duplicate']);
+	});
+
+	it('reports meta on lines and variants that are no longer cards', () => {
+		const lines = [
+			line('Just a note now', reviewed),
+			line('{{c1::a}} only', { ...cardToMetaProps(createEmptyCard(new Date()), metaKeys('c1')), fc_c2_due: '2025-01-01T00:00:00.000Z' }),
+		];
+		assert.deepEqual(findIntegrityIssues(lines).map(i => [i.kind, i.variant]), [['orphan', ''], ['orphan', 'c2']]);
+	});
+
+	it('reports malformed schedules', () => {
+		const [issue] = findIntegrityIssues([line('Q :: A', { ...reviewed, [META.due]: 'never' })]);
+		assert.equal(issue.kind, 'malformed');
+		assert.equal(issue.detail, 'Due date is not a date');
+	});
+});
+
+// ─── Review log ─────────────────────────────────────────────────────────────
+
+describe('orderSession', () => {
+	// id, note, state, difficulty, retrievability
+	const mk = (id, note, state, difficulty = 5, r = 0.9) => ({ id, recordGuid: note, card: { state, difficulty }, r });
+	const cards = [
+		mk('a', 'n1', 2, 3, 0.8),
+		mk('b', 'n2', 0),
+		mk('c', 'n1', 2, 8, 0.6),
+		mk('d', 'n2', 2, 5, 0.95),
+		mk('e', 'n3', 0),
+	];
+	const base = { session_order: 'due', reviews_per_new: 0, avoid_same_note: false };
+	const ids = (list) => list.map(e => e.id).join('');
+	const order = (options) => ids(orderSession(cards, { ...base, ...options }, e => e.r));
+
+	it('keeps the due order by default', () => {
+		assert.equal(order({}), 'abcde');
+	});
+
+	it('groups cards by note', () => {
+		assert.equal(order({ session_order: 'note' }), 'acbde');
+	});
+
+	it('puts the least retrievable cards first, new cards last', () => {
+		assert.equal(order({ session_order: 'retrievability' }), 'cadbe');
+	});
+
+	it('puts the hardest cards first, new cards last', () => {
+		assert.equal(order({ session_order: 'difficulty' }), 'cdabe');
+	});
+
+	it('shuffles with the given random source', () => {
+		const shuffled = orderSession(cards, { ...base, session_order: 'random' }, e => e.r, () => 0);
+		assert.equal(shuffled.length, cards.length);
+		assert.deepEqual(ids(shuffled).split('').sort().join(''), 'abcde');
+		assert.notEqual(ids(shuffled), 'abcde');
+	});
+
+	it('shows one new card after every N reviews', () => {
+		assert.equal(order({ reviews_per_new: 1 }), 'abced');
+		assert.equal(order({ reviews_per_new: 2 }), 'acbde');
+	});
+
+	it('avoids two cards from the same note in a row', () => {
+		assert.equal(order({ session_order: 'note', avoid_same_note: true }), 'abcde');
+		const sameNote = [mk('x', 'n1', 2), mk('y', 'n1', 2)];
+		assert.equal(ids(orderSession(sameNote, { ...base, avoid_same_note: true }, e => e.r)), 'xy');
+	});
+
+	it('does not modify the input', () => {
+		orderSession(cards, { ...base, session_order: 'difficulty' }, e => e.r);
+		assert.equal(ids(cards), 'abcde');
+	});
+});
+
+describe('countDueByDay', () => {
+	it('counts scheduled cards per day, skipping new ones', () => {
+		const load = countDueByDay([
+			{ card: { state: 2, due: new Date(2026, 1, 10, 9) } },
+			{ card: { state: 2, due: new Date(2026, 1, 10, 18) } },
+			{ card: { state: 1, due: new Date(2026, 1, 11, 9) } },
+			{ card: { state: 0, due: new Date(2026, 1, 11, 9) } },
+		]);
+		assert.deepEqual([...load], [['2026-02-10', 2], ['2026-02-11', 1]]);
+	});
+});
+
+describe('spreadBacklog', () => {
+	const now = new Date(2026, 1, 10, 12);
+
+	it('fills each day up to an even share, earliest cards first', () => {
+		assert.deepEqual(spreadBacklog(7, 3, new Map(), now), [0, 0, 0, 1, 1, 1, 2]);
+	});
+
+	it('fills lighter days up to the same total', () => {
+		const load = new Map([['2026-02-11', 4]]);
+		// 6 + 4 over 2 days → 5 a day
+		assert.deepEqual(spreadBacklog(6, 2, load, now), [0, 0, 0, 0, 0, 1]);
+	});
+
+	it('puts everything today over a single day', () => {
+		assert.deepEqual(spreadBacklog(3, 1, new Map(), now), [0, 0, 0]);
+	});
+});
+
+describe('moveDue', () => {
+	it('counts the interval from the last review to the new due date', () => {
+		const card = { ...createEmptyCard(new Date(2026, 1, 1, 12)), state: 2, scheduled_days: 4, last_review: new Date(2026, 1, 1, 12) };
+		const moved = moveDue(card, new Date(2026, 1, 11, 12));
+		assert.equal(moved.scheduled_days, 10);
+		assert.deepEqual(moved.due, new Date(2026, 1, 11, 12));
+		assert.equal(card.scheduled_days, 4);
+	});
+
+	it('keeps the interval of a card never reviewed', () => {
+		const card = createEmptyCard(new Date(2026, 1, 1));
+		assert.equal(moveDue(card, new Date(2026, 1, 5)).scheduled_days, card.scheduled_days);
+	});
+});
+
+describe('balanceDue', () => {
+	const now = new Date(2026, 1, 10, 12);
+	const card = { ...createEmptyCard(now), state: 2, scheduled_days: 20, elapsed_days: 10, due: new Date(now.getTime() + 20 * 86400000) };
+
+	it('moves the card to the lightest day in its fuzz range', () => {
+		const load = new Map();
+		for (let d = 10; d <= 30; d++) load.set(dayKey(new Date(now.getTime() + d * 86400000)), d === 22 ? 0 : 5);
+		const balanced = balanceDue(card, now, load, 365);
+		assert.equal(balanced.scheduled_days, 22);
+		assert.equal(dayKey(balanced.due), dayKey(new Date(now.getTime() + 22 * 86400000)));
+	});
+
+	it('keeps the scheduled day when loads are equal', () => {
+		assert.equal(balanceDue(card, now, new Map(), 365).scheduled_days, 20);
+	});
+
+	it('leaves short intervals and learning cards alone', () => {
+		const short = { ...card, scheduled_days: 2 };
+		const learning = { ...card, state: 1 };
+		assert.equal(balanceDue(short, now, new Map(), 365), short);
+		assert.equal(balanceDue(learning, now, new Map(), 365), learning);
+	});
+});
+
+describe('lineItemTags', () => {
+	it('collects hashtags from the line and its children', () => {
+		const child = mkMultiSegLineItem(['detail ', { type: 'hashtag', text: '#Exam' }]);
+		const li = mkMultiSegLineItem(['Q :: A ', { type: 'hashtag', text: '#bio' }, ' ', { type: 'hashtag', text: 'exam' }], { children: [child] });
+		assert.deepEqual(lineItemTags(li).sort(), ['bio', 'exam']);
+	});
+
+	it('returns nothing without hashtags', () => {
+		assert.deepEqual(lineItemTags(mkLineItem('Q :: A #not-a-segment')), []);
+	});
+});
+
+describe('failedWithin', () => {
+	const now = new Date('2026-02-10T12:00:00.000Z');
+	const log = [
+		{ review: new Date('2026-02-01T12:00:00.000Z'), rating: 1, state: 2, elapsed_days: 5, duration: 0 },
+		{ review: new Date('2026-02-08T12:00:00.000Z'), rating: 3, state: 3, elapsed_days: 0, duration: 0 },
+	];
+
+	it('finds Again ratings within the window', () => {
+		assert.equal(failedWithin(log, 10, now), true);
+	});
+
+	it('ignores older failures and other ratings', () => {
+		assert.equal(failedWithin(log, 7, now), false);
+		assert.equal(failedWithin([], 30, now), false);
+	});
+});
+
+describe('review log', () => {
+	const entry = {
+		review: new Date('2026-02-10T16:00:00.000Z'),
+		rating: 3,
+		state: 2,
+		elapsed_days: 4,
+		duration: 5321.7,
+	};
+
+	it('encodes an entry compactly', () => {
+		assert.equal(encodeReviewLogEntry(entry), `${entry.review.getTime()},3,2,4,5322`);
+	});
+
+	it('round-trips entries through decodeReviewLog', () => {
+		const decoded = decodeReviewLog(encodeReviewLogEntry(entry));
+		assert.equal(decoded.length, 1);
+		assert.equal(decoded[0].review.toISOString(), '2026-02-10T16:00:00.000Z');
+		assert.equal(decoded[0].rating, 3);
+		assert.equal(decoded[0].state, 2);
+		assert.equal(decoded[0].elapsed_days, 4);
+		assert.equal(decoded[0].duration, 5322);
+	});
+
+	it('decodes nothing from missing or non-string values', () => {
+		assert.deepEqual(decodeReviewLog(undefined), []);
+		assert.deepEqual(decodeReviewLog(''), []);
+		assert.deepEqual(decodeReviewLog(42), []);
+	});
+
+	it('skips malformed entries', () => {
+		const decoded = decodeReviewLog('garbage;1700000000000,9,0,0,0;1700000000000,1,0,0,1200');
+		assert.equal(decoded.length, 1);
+		assert.equal(decoded[0].rating, 1);
+	});
+
+	it('appends to the existing log, oldest first', () => {
+		const li = mkLineItem('Q :: A');
+		const first = appendReviewLogProps(li, entry);
+		li.props = { ...li.props, ...first };
+		const second = appendReviewLogProps(li, { ...entry, review: new Date('2026-02-14T09:00:00.000Z'), rating: 1 });
+		li.props = { ...li.props, ...second };
+
+		const log = readReviewLog(li);
+		assert.deepEqual(log.map(e => e.rating), [3, 1]);
+		assert.equal(log[1].review.toISOString(), '2026-02-14T09:00:00.000Z');
+	});
+
+	it('snapshots every key of a card, with null for missing ones', () => {
+		const li = mkLineItem('Q :: A', { props: { fc_due: '2026-02-10T00:00:00.000Z', fc_reps: 3, fc_c1_due: 'x' } });
+		const snap = metaSnapshot(li);
+		assert.deepEqual(Object.keys(snap).sort(), Object.values(META).sort());
+		assert.equal(snap.fc_due, '2026-02-10T00:00:00.000Z');
+		assert.equal(snap.fc_reps, 3);
+		assert.equal(snap.fc_log, null);
+		assert.equal('fc_c1_due' in snap, false);
+	});
+
+	it('restores the previous log from a snapshot', () => {
+		const li = mkLineItem('Q :: A');
+		li.props = { ...appendReviewLogProps(li, entry) };
+		const snap = metaSnapshot(li);
+		li.props = { ...li.props, ...appendReviewLogProps(li, { ...entry, rating: 1 }) };
+		li.props = { ...li.props, ...snap };
+		assert.deepEqual(readReviewLog(li).map(e => e.rating), [3]);
+	});
+
+	it('keeps a separate log per card variant', () => {
+		const li = mkLineItem('{{c1::a}} {{c2::b}}');
+		const props = appendReviewLogProps(li, entry, metaKeys('c2'));
+		assert.deepEqual(Object.keys(props), ['fc_c2_log']);
+		li.props = { ...li.props, ...props };
+		assert.equal(readReviewLog(li).length, 0);
+		assert.equal(readReviewLog(li, metaKeys('c2')).length, 1);
+	});
+});
+
+// ─── FSRS optimizer ─────────────────────────────────────────────────────────
+
+/** Build a review log entry `day` days after 2026-01-01. */
+function mkLogEntry(day, rating, state) {
+	return { review: new Date(Date.UTC(2026, 0, 1) + day * 86400000), rating, state, elapsed_days: 0, duration: 0 };
+}
+
+/** Review logs of a learner who forgets much faster than the default weights expect. */
+function mkForgetfulLogs(cards) {
+	let seed = 7;
+	const rand = () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+	const logs = [];
+	for (let c = 0; c < cards; c++) {
+		const log = [];
+		let day = 0;
+		let interval = 1;
+		let state = 0;
+		for (let r = 0; r < 6; r++) {
+			const rating = r === 0 || rand() < Math.exp(-interval / 4) ? 3 : 1;
+			log.push(mkLogEntry(day, rating, state));
+			state = rating === 1 ? 3 : 2;
+			interval = rating === 1 ? 1 : interval * 2;
+			day += interval;
+		}
+		logs.push(log);
+	}
+	return logs;
+}
+
+describe('reviewSequences', () => {
+	it('converts a log into day deltas and ratings', () => {
+		const seqs = reviewSequences([[mkLogEntry(0, 3, 0), mkLogEntry(1, 3, 1), mkLogEntry(5, 1, 2)]]);
+		assert.deepEqual(seqs, [[{ t: 0, rating: 3 }, { t: 1, rating: 3 }, { t: 4, rating: 1 }]]);
+	});
+
+	it('sorts entries by review time', () => {
+		const seqs = reviewSequences([[mkLogEntry(3, 3, 2), mkLogEntry(0, 3, 0)]]);
+		assert.deepEqual(seqs, [[{ t: 0, rating: 3 }, { t: 3, rating: 3 }]]);
+	});
+
+	it('drops reviews logged before the first New review', () => {
+		const seqs = reviewSequences([[mkLogEntry(0, 3, 2), mkLogEntry(2, 3, 2)]]);
+		assert.deepEqual(seqs, []);
+	});
+
+	it('starts a new sequence when a card was reset to New', () => {
+		const seqs = reviewSequences([[
+			mkLogEntry(0, 3, 0), mkLogEntry(2, 3, 2),
+			mkLogEntry(10, 2, 0), mkLogEntry(11, 3, 1),
+		]]);
+		assert.equal(seqs.length, 2);
+		assert.deepEqual(seqs[1], [{ t: 0, rating: 2 }, { t: 1, rating: 3 }]);
+	});
+
+	it('skips sequences with a single review', () => {
+		assert.deepEqual(reviewSequences([[mkLogEntry(0, 3, 0)]]), []);
+	});
+});
+
+describe('fsrsLogLoss', () => {
+	it('scores only reviews at least a day apart', () => {
+		const seqs = [[{ t: 0, rating: 3 }, { t: 0, rating: 3 }, { t: 2, rating: 3 }, { t: 5, rating: 1 }]];
+		const { loss, count } = fsrsLogLoss(default_w, seqs);
+		assert.equal(count, 2);
+		assert.ok(loss > 0);
+	});
+
+	it('returns zero loss when nothing can be scored', () => {
+		assert.deepEqual(fsrsLogLoss(default_w, []), { loss: 0, count: 0 });
+	});
+
+	it('follows the short-term setting for same-day reviews', () => {
+		const seqs = [[{ t: 0, rating: 1 }, { t: 0, rating: 3 }, { t: 3, rating: 3 }]];
+		assert.notEqual(fsrsLogLoss(default_w, seqs, true).loss, fsrsLogLoss(default_w, seqs, false).loss);
+	});
+});
+
+describe('optimizeWeights', () => {
+	it('lowers the log-loss on a forgetful history', async () => {
+		const seqs = reviewSequences(mkForgetfulLogs(30));
+		let progressCalls = 0;
+		const result = await optimizeWeights(seqs, { steps: 8, onProgress: () => progressCalls++ });
+		assert.equal(progressCalls, 8);
+		assert.equal(result.weights.length, default_w.length);
+		assert.ok(result.count > 0);
+		assert.ok(result.after < result.before, `${result.after} should be < ${result.before}`);
+		assert.equal(result.before, fsrsLogLoss(default_w, seqs).loss);
+	});
+});
+
+// ─── Recompute schedules ────────────────────────────────────────────────────
+
+describe('replayReviewLog', () => {
+	const scheduler = fsrs({ enable_fuzz: false });
+
+	it('matches rating the card live', () => {
+		const log = [mkLogEntry(0, 3, 0), mkLogEntry(1, 3, 1), mkLogEntry(4, 2, 2)];
+		let live = createEmptyCard(log[0].review);
+		for (const e of log) live = scheduler.next(live, e.review, e.rating).card;
+
+		const replayed = replayReviewLog(scheduler, log);
+		assert.equal(replayed.due.getTime(), live.due.getTime());
+		assert.equal(replayed.stability, live.stability);
+		assert.equal(replayed.reps, 3);
+	});
+
+	it('uses the scheduler it is given', () => {
+		const log = [mkLogEntry(0, 3, 0), mkLogEntry(3, 3, 2), mkLogEntry(10, 3, 2)];
+		const low = replayReviewLog(fsrs({ enable_fuzz: false, request_retention: 0.8 }), log);
+		const high = replayReviewLog(fsrs({ enable_fuzz: false, request_retention: 0.95 }), log);
+		assert.ok(low.due > high.due);
+	});
+
+	it('replays only since the last reset', () => {
+		const log = [mkLogEntry(0, 3, 0), mkLogEntry(5, 3, 2), mkLogEntry(20, 3, 0)];
+		assert.equal(replayReviewLog(scheduler, log).reps, 1);
+	});
+
+	it('returns null without a New review', () => {
+		assert.equal(replayReviewLog(scheduler, [mkLogEntry(5, 3, 2)]), null);
+		assert.equal(replayReviewLog(scheduler, []), null);
+	});
+});
+
+describe('summarizeDueShifts', () => {
+	const day = 86400000;
+	const base = new Date('2026-03-01T00:00:00.000Z');
+	const at = (days) => new Date(base.getTime() + days * day);
+
+	it('counts moves in each direction', () => {
+		const s = summarizeDueShifts([
+			{ before: base, after: at(2) },
+			{ before: base, after: at(-4) },
+			{ before: base, after: base },
+		]);
+		assert.equal(s.total, 3);
+		assert.equal(s.moved, 2);
+		assert.equal(s.earlier, 1);
+		assert.equal(s.later, 1);
+		assert.equal(s.meanShiftDays, 3);
+		assert.equal(s.maxShiftDays, 4);
+	});
+
+	it('ignores shifts under a minute', () => {
+		const s = summarizeDueShifts([{ before: base, after: new Date(base.getTime() + 30 * 1000) }]);
+		assert.equal(s.moved, 0);
+		assert.equal(s.meanShiftDays, 0);
+	});
+});
+
+// ─── normalizeAnswer ────────────────────────────────────────────────────────
+
+describe('normalizeAnswer', () => {
+	it('trims and collapses whitespace', () => {
+		assert.equal(normalizeAnswer('  git   commit\t-m  '), 'git commit -m');
+	});
+
+	it('keeps case', () => {
+		assert.equal(normalizeAnswer('Hola'), 'Hola');
+	});
+});
+
+// ─── diffChars ──────────────────────────────────────────────────────────────
+
+describe('diffChars', () => {
+	it('returns a single equal run for identical strings', () => {
+		assert.deepEqual(diffChars('hola', 'hola'), [{ type: 'equal', text: 'hola' }]);
+	});
+
+	it('marks missing characters', () => {
+		assert.deepEqual(diffChars('hello', 'helo'), [
+			{ type: 'equal', text: 'hel' },
+			{ type: 'missing', text: 'l' },
+			{ type: 'equal', text: 'o' },
+		]);
+	});
+
+	it('marks extra characters', () => {
+		assert.deepEqual(diffChars('cat', 'cart'), [
+			{ type: 'equal', text: 'ca' },
+			{ type: 'extra', text: 'r' },
+			{ type: 'equal', text: 't' },
+		]);
+	});
+
+	it('shows substitutions as missing then extra', () => {
+		assert.deepEqual(diffChars('ls -a', 'ls -l'), [
+			{ type: 'equal', text: 'ls -' },
+			{ type: 'missing', text: 'a' },
+			{ type: 'extra', text: 'l' },
+		]);
+	});
+
+	it('handles empty strings', () => {
+		assert.deepEqual(diffChars('', ''), []);
+		assert.deepEqual(diffChars('abc', ''), [{ type: 'missing', text: 'abc' }]);
+		assert.deepEqual(diffChars('', 'abc'), [{ type: 'extra', text: 'abc' }]);
+	});
+
+	it('reassembles both strings from its runs', () => {
+		const ops = diffChars('straße', 'strasse');
+		assert.equal(ops.filter(o => o.type !== 'extra').map(o => o.text).join(''), 'straße');
+		assert.equal(ops.filter(o => o.type !== 'missing').map(o => o.text).join(''), 'strasse');
+	});
+});
+
+// ─── levenshtein ────────────────────────────────────────────────────────────
+
+describe('levenshtein', () => {
+	it('counts insertions, deletions and substitutions', () => {
+		assert.equal(levenshtein('kitten', 'sitting'), 3);
+		assert.equal(levenshtein('abc', 'abc'), 0);
+		assert.equal(levenshtein('', 'abc'), 3);
+		assert.equal(levenshtein('abc', ''), 3);
+	});
+});
+
+// ─── suggestRating ──────────────────────────────────────────────────────────
+
+describe('suggestRating', () => {
+	it('suggests Good for an exact match', () => {
+		assert.equal(suggestRating('el perro', 'el perro'), 3);
+	});
+
+	it('ignores surrounding and repeated whitespace', () => {
+		assert.equal(suggestRating('git commit -m', '  git  commit -m '), 3);
+	});
+
+	it('suggests Hard for a case-only difference', () => {
+		assert.equal(suggestRating('Berlin', 'berlin'), 2);
+	});
+
+	it('suggests Hard for a small typo', () => {
+		assert.equal(suggestRating('necessary', 'neccessary'), 2);
+	});
+
+	it('suggests Again for a wrong answer', () => {
+		assert.equal(suggestRating('el perro', 'el gato'), 1);
+	});
+
+	it('suggests Again for an empty answer', () => {
+		assert.equal(suggestRating('el perro', '   '), 1);
+	});
+
+	it('treats short answers strictly', () => {
+		assert.equal(suggestRating('ls', 'la'), 1);
+	});
 });
 
 // ─── formatInterval ─────────────────────────────────────────────────────────
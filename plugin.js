@@ -6,60 +6,347 @@ import {
 	META,
 	segmentsToText,
 	gatherChildrenText,
-	parseFlashcard,
+	parseCards,
 	hasCardMeta,
+	staleIndexRecords,
+	noteStamp,
+	untrackedCards,
+	fingerprintProps,
+	isCardChanged,
+	findIntegrityIssues,
+	DUE_RANGES,
+	inDueRange,
+	matchesSearch,
+	sortRows,
 	buildAncestorBreadcrumb,
 	truncateStr,
 	truncateBreadcrumbs,
+	mediaLabel,
 	metaToCard,
 	cardToMetaProps,
+	forgetCardProps,
+	untrackCardProps,
+	appendReviewLogProps,
+	readReviewLog,
+	reviewSequences,
+	fsrsLogLoss,
+	optimizeWeights,
+	replayReviewLog,
+	summarizeDueShifts,
+	DEFAULT_SETTINGS,
+	validateSettings,
+	fsrsParameters,
+	SESSION_ORDERS,
+	validatePresets,
+	buildPresetIndex,
+	PRESET_FIELDS,
+	dayKey,
+	countStudiedOn,
+	applyDailyLimits,
+	isSessionLearning,
+	nextDueLearning,
+	metaSnapshot,
+	FLAG_COLORS,
+	readCardStatus,
+	cardStatusProps,
+	nextFlag,
+	isLeechLapse,
+	lineItemTags,
+	failedWithin,
+	orderSession,
+	countDueByDay,
+	spreadBacklog,
+	moveDue,
+	balanceDue,
+	metaKeys,
+	lineItemMedia,
+	parseOcclusions,
+	occlusionVariant,
+	OCCLUSION_META,
 	isNestedUnderSeparator,
+	diffChars,
+	suggestRating,
 	formatInterval,
 	formatDueDate,
 	formatLastPracticed,
+	DAY_MS,
 } from './lib.js';
 
 // ─── FSRS instance with good defaults ───────────────────────────────────────
-const f = fsrs({
-	request_retention: 0.9,
-	maximum_interval: 365,
-	enable_fuzz: true,
-	enable_short_term: true,
-});
+// Rebuilt from the plugin configuration (settings, optimized weights) on load and save
+let f = fsrs(fsrsParameters(DEFAULT_SETTINGS));
 
 // ─── Constants ──────────────────────────────────────────────────────────────
 const PANEL_ID = 'flashcard-practice';
 const DASHBOARD_PANEL_ID = 'flashcard-dashboard';
+const OCCLUSION_PANEL_ID = 'flashcard-occlusion';
+const SETTINGS_PANEL_ID = 'flashcard-settings';
+const INTEGRITY_PANEL_ID = 'flashcard-integrity';
+
+// Session stats key for each rating
+const STAT_KEYS = { [Rating.Again]: 'again', [Rating.Hard]: 'hard', [Rating.Good]: 'good', [Rating.Easy]: 'easy' };
+
+// Most lines a card index refresh searches for; with more matches the search
+// may be incomplete, so the index is rebuilt from a full scan instead
+const INDEX_SEARCH_LIMIT = 10000;
+
+// Scored reviews needed before weights are worth optimizing
+const MIN_OPTIMIZE_REVIEWS = 100;
 
 // ─── Helpers (DOM-dependent, kept in plugin.js) ─────────────────────────────
 
+/**
+ * A card ready for the dashboard or a practice session.
+ * @typedef {ReturnType<typeof parseCards>[number] & { lineItem: PluginLineItem, card: import('ts-fsrs').Card, recordName: string, recordGuid: string, ancestors: string[], preset: string | null, status: import('./lib.js').CardStatus, changed: boolean }} CardEntry
+ */
+
+/**
+ * A line in the card index: a line item that holds flashcards, whether or
+ * not they're tracked yet.
+ * @typedef {{ lineItem: PluginLineItem, record: PluginRecord, ancestors: string[], cards: ReturnType<typeof parseCards>, updatedAt: number, searchable: boolean }} IndexedLine
+ */
+
+/**
+ * A line checked by "Flashcards: Check Integrity": any line with flashcards
+ * or card meta, whether or not it's still a card.
+ * @typedef {{ lineItem: PluginLineItem, record: PluginRecord, cards: ReturnType<typeof parseCards> }} CheckedLine
+ */
+
+/**
+ * A cram session: which cards to study regardless of due date, and whether
+ * ratings of cards that were due anyway update their schedule.
+ * @typedef {{ label: string, test: (entry: CardEntry) => boolean, reschedule: boolean }} CramOptions
+ */
+
 /**
  * Persist an FSRS Card back to line item meta properties.
  * @param {PluginLineItem} lineItem
  * @param {import('ts-fsrs').Card} card
+ * @param {typeof META} [keys=META] - meta keys of the card variant
+ * @returns {Promise<boolean>}
+ */
+function cardToMeta(lineItem, card, keys = META) {
+	return lineItem.setMetaProperties(cardToMetaProps(card, keys));
+}
+
+/**
+ * Start tracking a card: a new FSRS schedule, plus the fingerprint of its
+ * content so that later edits can be noticed.
+ * @param {PluginLineItem} lineItem
+ * @param {ReturnType<typeof parseCards>[number]} fc
+ * @param {Date} [now=new Date()]
  * @returns {Promise<boolean>}
  */
-function cardToMeta(lineItem, card) {
-	return lineItem.setMetaProperties(cardToMetaProps(card));
+function initCardMeta(lineItem, fc, now = new Date()) {
+	return lineItem.setMetaProperties({ ...cardToMetaProps(createEmptyCard(now), fc.keys), ...fingerprintProps(fc) });
+}
+
+/**
+ * Each line of a note with the time it was last edited, for noteStamp.
+ * @param {PluginLineItem[]} lineItems
+ * @returns {{ guid: string, updatedAt: number }[]}
+ */
+function lineStamps(lineItems) {
+	return lineItems.map(li => ({ guid: li.guid, updatedAt: li.getUpdatedAt()?.getTime() || 0 }));
 }
 
 /**
- * Escape HTML.
+ * Escape HTML (safe for text content and double-quoted attributes).
  * @param {string} str
  * @returns {string}
  */
 function esc(str) {
 	const el = document.createElement('span');
 	el.textContent = str;
-	return el.innerHTML;
+	return el.innerHTML.replace(/"/g, '&quot;');
+}
+
+/**
+ * Format the value of a `datetime` segment for display, falling back to the
+ * raw value if it can't be parsed.
+ * @param {any} value
+ * @returns {string}
+ */
+function formatSegmentDate(value) {
+	try {
+		const date = new DateTime(value).toDate();
+		if (!isNaN(date.getTime())) return formatDueDate(date);
+	} catch {
+		// Not a DateTime value
+	}
+	return String(value);
+}
+
+/**
+ * Render cloze parts as HTML. The active cloze is shown as a blank (with its
+ * hint, if any) until revealed, then highlighted; other clozes show their text.
+ * @param {{ text: string, cloze?: number, hint?: string }[]} parts
+ * @param {number} active - cloze number being asked
+ * @param {boolean} revealed
+ * @returns {string}
+ */
+function clozeToHTML(parts, active, revealed) {
+	return parts.map(p => {
+		if (p.cloze !== active) return esc(p.text);
+		if (revealed) return `<span class="flashcard-cloze flashcard-cloze--revealed">${esc(p.text)}</span>`;
+		return `<span class="flashcard-cloze">[${esc(p.hint || '…')}]</span>`;
+	}).join('');
+}
+
+/**
+ * Return a media URL escaped for use as a `src`, or null unless it is an
+ * http(s), blob or data URL.
+ * @param {string | null} url
+ * @returns {string | null}
+ */
+function safeMediaUrl(url) {
+	return url && /^(https?:|blob:|data:(image|audio|video)\/)/i.test(url) ? esc(url) : null;
+}
+
+/**
+ * Render an image, file or media line item for a card face. Anything without
+ * a safe URL falls back to a label.
+ * @param {import('./lib.js').CardMedia} media
+ * @returns {string}
+ */
+function mediaToHTML(media) {
+	const label = esc(mediaLabel(media));
+	const url = safeMediaUrl(media.url);
+	if (!url) return `<span class="flashcard-media-missing">${label}</span>`;
+
+	const mime = media.mime || '';
+	if (media.kind === 'image' || mime.startsWith('image/')) {
+		return `<img class="flashcard-media flashcard-media--image" src="${url}" alt="${esc(media.name)}">`;
+	}
+	if (mime.startsWith('audio/') || /\.(mp3|m4a|ogg|oga|wav|flac|aac)(\?|$)/i.test(media.url || '')) {
+		return `<audio class="flashcard-media flashcard-media--audio" src="${url}" controls preload="metadata"></audio>`;
+	}
+	if (mime.startsWith('video/') || /\.(mp4|webm|mov|m4v)(\?|$)/i.test(media.url || '')) {
+		return `<video class="flashcard-media flashcard-media--video" src="${url}" controls preload="metadata"></video>`;
+	}
+	return `<a class="flashcard-link flashcard-media--file" href="${url}" target="_blank" rel="noopener noreferrer">${label}</a>`;
+}
+
+/**
+ * Render an image with occlusion masks. The asked region is masked until
+ * revealed, then outlined; in "all" mode every other region stays masked.
+ * @param {{ media: import('./lib.js').CardMedia, mode: 'one' | 'all', rects: import('./lib.js').OcclusionRect[], active: number }} occlusion
+ * @param {boolean} revealed
+ * @returns {string}
+ */
+function occlusionToHTML(occlusion, revealed) {
+	const { media, mode, rects, active } = occlusion;
+	const url = safeMediaUrl(media.url);
+	if (!url) return `<span class="flashcard-media-missing">${esc(mediaLabel(media))}</span>`;
+
+	let masks = '';
+	for (const r of rects) {
+		const isActive = r.id === active;
+		if (!isActive && mode !== 'all') continue;
+		let cls = 'flashcard-occlusion-mask';
+		if (isActive) cls += revealed ? ' flashcard-occlusion-mask--revealed' : ' flashcard-occlusion-mask--active';
+		masks += `<div class="${cls}" style="left:${r.x * 100}%;top:${r.y * 100}%;width:${r.w * 100}%;height:${r.h * 100}%"></div>`;
+	}
+	return `<div class="flashcard-occlusion"><img class="flashcard-occlusion-image" src="${url}" alt="${esc(media.name)}" draggable="false">${masks}</div>`;
+}
+
+/**
+ * The answer a card can be checked against in type-in mode: its inline
+ * answer, or null if it has none (e.g. answers made only of child lines).
+ * @param {CardEntry} entry
+ * @returns {string | null}
+ */
+function typedAnswerFor(entry) {
+	const line = (entry.answerLines || []).find(l => l.inline && !l.media);
+	return line && line.text.trim() ? line.text : null;
+}
+
+/**
+ * Render a character diff of a typed answer. Missing characters are shown
+ * highlighted, extra ones struck through.
+ * @param {ReturnType<typeof diffChars>} ops
+ * @returns {string}
+ */
+function diffToHTML(ops) {
+	return ops.map(op => op.type === 'equal'
+		? esc(op.text)
+		: `<span class="flashcard-diff-${op.type}">${esc(op.text)}</span>`
+	).join('');
+}
+
+/**
+ * Describe cards held back by the daily limits, e.g.
+ * "5 more new cards available tomorrow". Empty if none are held.
+ * @param {number} heldNew
+ * @param {number} heldReviews
+ * @returns {string}
+ */
+function heldCardsText(heldNew, heldReviews) {
+	const parts = [];
+	if (heldNew) parts.push(`${heldNew} more new card${heldNew !== 1 ? 's' : ''}`);
+	if (heldReviews) parts.push(`${heldReviews} more review${heldReviews !== 1 ? 's' : ''}`);
+	return parts.length ? `${parts.join(' and ')} available tomorrow` : '';
+}
+
+/**
+ * Whether a card takes part in practice (not suspended or buried).
+ * @param {CardEntry} entry
+ * @returns {boolean}
+ */
+function inRotation(entry) {
+	return !entry.status.suspended && !entry.status.buried;
+}
+
+/**
+ * Colored flag marker, or empty if the card isn't flagged.
+ * @param {string | null} flag
+ * @returns {string}
+ */
+function flagHTML(flag) {
+	return flag ? `<span class="flashcard-flag flashcard-flag--${flag}" title="Flagged ${flag}"></span>` : '';
 }
 
+// Dashboard filters, in the order they're listed
+/** @type {{ id: string, label: string, test: (entry: CardEntry) => boolean }[]} */
+const DASHBOARD_FILTERS = [
+	{ id: 'all', label: 'All cards', test: () => true },
+	{ id: 'suspended', label: 'Suspended', test: e => e.status.suspended },
+	{ id: 'buried', label: 'Buried', test: e => e.status.buried },
+	{ id: 'flagged', label: 'Flagged', test: e => !!e.status.flag },
+	{ id: 'leech', label: 'Leeches', test: e => e.status.leech },
+	{ id: 'changed', label: 'Edited since last review', test: e => e.changed },
+	...FLAG_COLORS.map(color => ({
+		id: 'flag-' + color,
+		label: `Flag: ${color[0].toUpperCase()}${color.slice(1)}`,
+		test: (/** @type {CardEntry} */ e) => e.status.flag === color,
+	})),
+];
+
+/**
+ * What the dashboard table shows: filters, search and sort order. Kept
+ * between openings of the dashboard.
+ * @typedef {{ filter: string, search: string, state: string, due: string, note: string, collection: string, sort: string | null, dir: 'asc' | 'desc' }} DashboardView
+ */
+
+/** @type {DashboardView} */
+const DEFAULT_DASHBOARD_VIEW = { filter: 'all', search: '', state: '', due: 'any', note: '', collection: '', sort: null, dir: 'asc' };
+
+// Labels of the dashboard's due range filter
+const DUE_RANGE_LABELS = {
+	any: 'Any due date',
+	overdue: 'Overdue',
+	today: 'Due today',
+	week: 'Due within 7 days',
+	month: 'Due within 30 days',
+	later: 'Due later',
+};
 
 // ─── Plugin ─────────────────────────────────────────────────────────────────
 
 export class Plugin extends AppPlugin {
 
 	onLoad() {
+		this._applyConfiguration(this.getConfiguration().custom || {});
 		this.ui.injectCSS(css);
 		this.ui.injectCSS(`
 /* ── Flashcard Dashboard ────────────────────────────── */
@@ -166,6 +453,13 @@ export class Plugin extends AppPlugin {
 	position: sticky;
 	top: 0;
 }
+.fc-dashboard-table thead th.fc-dashboard-sortable {
+	cursor: pointer;
+	user-select: none;
+}
+.fc-dashboard-table thead th.fc-dashboard-sortable:hover {
+	opacity: 0.8;
+}
 .fc-dashboard-table tbody tr {
 	border-bottom: 1px solid rgba(128,128,128,0.09);
 	transition: background 0.12s ease;
@@ -198,11 +492,28 @@ export class Plugin extends AppPlugin {
 .fc-dashboard-cell-back {
 	opacity: 0.7;
 }
+.fc-dashboard-cell-direction,
+.fc-dashboard-cell-preset,
 .fc-dashboard-cell-due,
 .fc-dashboard-cell-reviews,
 .fc-dashboard-cell-last {
 	white-space: nowrap;
 }
+.fc-dashboard-cell-direction {
+	opacity: 0.7;
+}
+.fc-dashboard-cell-preset {
+	opacity: 0.7;
+}
+.fc-dashboard-badge-preset {
+	display: inline-block;
+	padding: 2px 8px;
+	border-radius: 4px;
+	font-size: 11px;
+	font-weight: 600;
+	background: rgba(60,170,170,0.15);
+	color: #3caaaa;
+}
 .fc-dashboard-note-link {
 	color: #6ea8e4;
 	text-decoration: none;
@@ -223,6 +534,15 @@ export class Plugin extends AppPlugin {
 	background: rgba(80,145,220,0.15);
 	color: #5091dc;
 }
+.fc-dashboard-badge-reverse {
+	display: inline-block;
+	padding: 2px 8px;
+	border-radius: 4px;
+	font-size: 11px;
+	font-weight: 600;
+	background: rgba(150,110,220,0.15);
+	color: #966edc;
+}
 .fc-dashboard-badge-never {
 	display: inline-block;
 	padding: 2px 8px;
@@ -236,125 +556,2172 @@ export class Plugin extends AppPlugin {
 	color: #dca032;
 	font-weight: 600;
 }
-		`);
-
-		this.ui.addCommandPaletteCommand({
-			label: 'Flashcards: Generate',
-			icon: 'ti-flame',
-			onSelected: () => this.generateFlashcards(),
-		});
-
-		this.ui.addCommandPaletteCommand({
-			label: 'Flashcards: Practice All Cards',
-			icon: 'ti-flame',
-			onSelected: () => this.practiceFlashcards(),
-		});
-
-		this.ui.addCommandPaletteCommand({
-			label: 'Flashcards: Practice This Note',
-			icon: 'ti-flame',
-			onSelected: () => this.practiceThisNote(),
-		});
-
-		this.ui.addCommandPaletteCommand({
-			label: 'Flashcards: Practice Collection',
-			icon: 'ti-flame',
-			onSelected: () => this.practiceCollection(),
-		});
-
-		this.ui.addCommandPaletteCommand({
-			label: 'Flashcards: Dashboard',
-			icon: 'ti-flame',
-			onSelected: () => this.openDashboard(),
-		});
-
-		// Sidebar item — opens the dashboard
-		this.ui.addSidebarItem({
-			label: 'Flashcards',
-			icon: 'ti-flame',
-			tooltip: 'Flashcards Dashboard',
-			onClick: () => this.openDashboard(),
-		});
-
-		// Register custom panel for practice UI
-		this.ui.registerCustomPanelType(PANEL_ID, (panel) => {
-			const title = this._practiceTitle || 'Practice Flashcards';
-			panel.setTitle(title);
-			this._renderPracticePanel(panel);
-		});
-
-		// Register custom panel for dashboard
-		this.ui.registerCustomPanelType(DASHBOARD_PANEL_ID, (panel) => {
-			panel.setTitle('Flashcards Dashboard');
-			this._renderDashboardPanel(panel);
-		});
-	}
-
-	// ── Generate flashcards ───────────────────────────────────────────────
-
-	async generateFlashcards() {
-		const allRecords = this.data.getAllRecords();
-		let created = 0;
-		let existing = 0;
-		let scanned = 0;
-
-		for (const record of allRecords) {
-			/** @type {PluginLineItem[]} */
-			let lineItems;
-			try {
-				lineItems = await record.getLineItems();
-			} catch {
-				continue;
-			}
-
-			const byGuid = new Map();
-			for (const li of lineItems) byGuid.set(li.guid, li);
-
-			for (const li of lineItems) {
-				if (isNestedUnderSeparator(li, byGuid)) continue;
-				const fc = parseFlashcard(li);
-				if (!fc) continue;
-
-				scanned++;
-
-				if (hasCardMeta(li)) {
-					existing++;
-				} else {
-					// Initialize new FSRS card
-					const card = createEmptyCard(new Date());
-					await cardToMeta(li, card);
-					created++;
-				}
-			}
-		}
+.fc-dashboard-toolbar {
+	display: flex;
+	flex-wrap: wrap;
+	align-items: center;
+	gap: 8px;
+	margin-bottom: 12px;
+	font-size: 13px;
+}
+.fc-dashboard-filter {
+	padding: 6px 10px;
+	border-radius: 8px;
+	border: 1px solid rgba(128,128,128,0.25);
+	background: transparent;
+	font-size: 13px;
+	font-family: inherit;
+	color: inherit;
+}
+.fc-dashboard-search {
+	width: 220px;
+}
+.fc-dashboard-filter-count {
+	opacity: 0.45;
+}
+.fc-dashboard-cell-status,
+.fc-dashboard-cell-actions {
+	white-space: nowrap;
+}
+.fc-dashboard-cell-status .flashcard-flag {
+	margin-right: 6px;
+}
+.fc-dashboard-badge-suspended {
+	display: inline-block;
+	padding: 2px 8px;
+	border-radius: 4px;
+	font-size: 11px;
+	font-weight: 600;
+	background: rgba(220,80,65,0.15);
+	color: #dc5041;
+	margin-right: 4px;
+}
+.fc-dashboard-badge-leech {
+	display: inline-block;
+	padding: 2px 8px;
+	border-radius: 4px;
+	font-size: 11px;
+	font-weight: 600;
+	background: rgba(220,160,50,0.15);
+	color: #dca032;
+	margin-right: 4px;
+}
+.fc-dashboard-badge-changed {
+	display: inline-block;
+	padding: 2px 8px;
+	border-radius: 4px;
+	font-size: 11px;
+	font-weight: 600;
+	background: rgba(80,145,220,0.15);
+	color: #5091dc;
+	margin-right: 4px;
+}
+.fc-dashboard-badge-buried {
+	display: inline-block;
+	padding: 2px 8px;
+	border-radius: 4px;
+	font-size: 11px;
+	font-weight: 600;
+	background: rgba(128,128,128,0.12);
+	opacity: 0.7;
+	margin-right: 4px;
+}
+.fc-dashboard-row-btn {
+	padding: 2px 8px;
+	border-radius: 6px;
+	border: 1px solid rgba(128,128,128,0.2);
+	background: transparent;
+	cursor: pointer;
+	font-size: 11px;
+	font-family: inherit;
+	color: inherit;
+	opacity: 0.6;
+	margin-left: 4px;
+}
+.fc-dashboard-row-btn:hover {
+	opacity: 1;
+	background: rgba(128,128,128,0.12);
+}
+.fc-dashboard-row-btn:disabled {
+	opacity: 0.35;
+	cursor: default;
+}
+.fc-integrity-badge {
+	display: inline-block;
+	padding: 2px 8px;
+	border-radius: 4px;
+	font-size: 11px;
+	font-weight: 600;
+	background: rgba(220,160,50,0.15);
+	color: #dca032;
+}
+.fc-integrity-badge--copied,
+.fc-integrity-badge--malformed {
+	background: rgba(220,80,65,0.15);
+	color: #dc5041;
+}
 
-		this.ui.addToaster({
-			title: 'Flashcards generated',
-			message: `Scanned ${allRecords.length} notes. Found ${scanned} flashcards: ${created} new, ${existing} already tracked.`,
-			dismissible: true,
-			autoDestroyTime: 5000,
-		});
-	}
+/* ── Flashcard Settings ─────────────────────────────── */
+.fc-settings-form {
+	display: flex;
+	flex-direction: column;
+	gap: 20px;
+	max-width: 520px;
+}
+.fc-settings-field {
+	display: flex;
+	flex-direction: column;
+	gap: 6px;
+}
+.fc-settings-field--toggle {
+	flex-direction: row;
+	align-items: flex-start;
+	gap: 10px;
+	cursor: pointer;
+}
+.fc-settings-field--toggle > span {
+	display: flex;
+	flex-direction: column;
+	gap: 4px;
+}
+.fc-settings-field--toggle input {
+	margin-top: 3px;
+}
+.fc-settings-label {
+	font-size: 14px;
+	font-weight: 600;
+}
+.fc-settings-hint {
+	font-size: 12px;
+	opacity: 0.5;
+}
+.fc-settings-error {
+	font-size: 12px;
+	color: #dc5041;
+}
+.fc-settings-error:empty {
+	display: none;
+}
+.fc-settings-input {
+	padding: 7px 10px;
+	border-radius: 8px;
+	border: 1px solid rgba(128,128,128,0.25);
+	background: transparent;
+	font-size: 13px;
+	font-family: inherit;
+	color: inherit;
+	max-width: 240px;
+}
+.fc-settings-inline-btn {
+	align-self: flex-start;
+}
+.fc-settings-section {
+	display: flex;
+	flex-direction: column;
+	gap: 12px;
+	padding-top: 20px;
+	border-top: 1px solid rgba(128,128,128,0.15);
+}
+.fc-settings-section-header {
+	display: flex;
+	align-items: flex-start;
+	justify-content: space-between;
+	gap: 16px;
+}
+.fc-settings-presets {
+	display: flex;
+	flex-direction: column;
+	gap: 12px;
+}
+.fc-settings-preset {
+	display: flex;
+	flex-direction: column;
+	gap: 8px;
+	padding: 12px;
+	border-radius: 10px;
+	border: 1px solid rgba(128,128,128,0.2);
+}
+.fc-settings-preset-header {
+	display: flex;
+	gap: 8px;
+}
+.fc-settings-preset-name {
+	flex: 1;
+	max-width: none;
+	font-weight: 600;
+}
+.fc-settings-preset-grid {
+	display: grid;
+	grid-template-columns: 1fr 1fr;
+	gap: 8px 12px;
+}
+/* ── Image Occlusion Editor ─────────────────────────── */
+.fc-occlusion-container {
+	height: 100%;
+	overflow-y: auto;
+	padding: 32px 24px 40px;
+	box-sizing: border-box;
+	font-family: inherit;
+	color: inherit;
+}
+.fc-occlusion-mode {
+	padding: 7px 10px;
+	border-radius: 8px;
+	border: 1px solid rgba(128,128,128,0.25);
+	background: transparent;
+	font-size: 13px;
+	font-family: inherit;
+	color: inherit;
+}
+.fc-occlusion-stage {
+	position: relative;
+	display: inline-block;
+	max-width: 100%;
+	cursor: crosshair;
+	user-select: none;
+	border-radius: 8px;
+	overflow: hidden;
+	border: 1px solid rgba(128,128,128,0.18);
+}
+.fc-occlusion-image {
+	display: block;
+	max-width: 100%;
+	pointer-events: none;
+}
+.fc-occlusion-rect {
+	position: absolute;
+	box-sizing: border-box;
+	border: 2px solid #dca032;
+	background: rgba(220,160,50,0.35);
+	color: #fff;
+	font-size: 12px;
+	font-weight: 700;
+	display: flex;
+	align-items: center;
+	justify-content: center;
+	pointer-events: none;
+}
+.fc-occlusion-rect--draft {
+	border-style: dashed;
+	background: rgba(220,160,50,0.2);
+}
+.fc-occlusion-list {
+	margin-top: 16px;
+	display: flex;
+	flex-direction: column;
+	gap: 8px;
+	max-width: 480px;
+}
+.fc-occlusion-row {
+	display: flex;
+	align-items: center;
+	gap: 8px;
+}
+.fc-occlusion-row-id {
+	width: 24px;
+	text-align: center;
+	font-weight: 700;
+	color: #dca032;
+}
+.fc-occlusion-label {
+	flex: 1;
+	padding: 7px 10px;
+	border-radius: 8px;
+	border: 1px solid rgba(128,128,128,0.25);
+	background: transparent;
+	font-size: 13px;
+	font-family: inherit;
+	color: inherit;
+}
+		`);
+
+		this.ui.addCommandPaletteCommand({
+			label: 'Flashcards: Generate',
+			icon: 'ti-flame',
+			onSelected: () => this.generateFlashcards(),
+		});
+
+		this.ui.addCommandPaletteCommand({
+			label: 'Flashcards: Practice All Cards',
+			icon: 'ti-flame',
+			onSelected: () => this.practiceFlashcards(),
+		});
+
+		this.ui.addCommandPaletteCommand({
+			label: 'Flashcards: Practice This Note',
+			icon: 'ti-flame',
+			onSelected: () => this.practiceThisNote(),
+		});
+
+		this.ui.addCommandPaletteCommand({
+			label: 'Flashcards: Practice Collection',
+			icon: 'ti-flame',
+			onSelected: () => this.practiceCollection(),
+		});
+
+		this.ui.addCommandPaletteCommand({
+			label: 'Flashcards: Cram',
+			icon: 'ti-bolt',
+			onSelected: () => this.cram(),
+		});
+
+		this.ui.addCommandPaletteCommand({
+			label: 'Flashcards: Toggle Auto-detect for This Note',
+			icon: 'ti-eye-off',
+			onSelected: () => this.toggleAutoDetectForNote(),
+		});
+
+		this.ui.addCommandPaletteCommand({
+			label: 'Flashcards: Toggle Type-in Answers',
+			icon: 'ti-keyboard',
+			onSelected: () => this.toggleTypeAnswerMode(),
+		});
+
+		this.ui.addCommandPaletteCommand({
+			label: 'Flashcards: Image Occlusion',
+			icon: 'ti-flame',
+			onSelected: () => this.editImageOcclusion(),
+		});
+
+		this.ui.addCommandPaletteCommand({
+			label: 'Flashcards: Optimize Parameters',
+			icon: 'ti-adjustments',
+			onSelected: () => this.optimizeParameters(),
+		});
+
+		this.ui.addCommandPaletteCommand({
+			label: 'Flashcards: Recompute Schedules',
+			icon: 'ti-refresh',
+			onSelected: () => this.recomputeSchedules(),
+		});
+
+		this.ui.addCommandPaletteCommand({
+			label: 'Flashcards: Reschedule Backlog',
+			icon: 'ti-calendar',
+			onSelected: () => this.rescheduleBacklog(),
+		});
+
+		this.ui.addCommandPaletteCommand({
+			label: 'Flashcards: Reset to New',
+			icon: 'ti-rotate',
+			onSelected: () => this.resetToNew(),
+		});
+
+		this.ui.addCommandPaletteCommand({
+			label: 'Flashcards: Untrack',
+			icon: 'ti-eraser',
+			onSelected: () => this.untrackCards(),
+		});
+
+		this.ui.addCommandPaletteCommand({
+			label: 'Flashcards: Check Integrity',
+			icon: 'ti-stethoscope',
+			onSelected: () => this.checkIntegrity(),
+		});
+
+		this.ui.addCommandPaletteCommand({
+			label: 'Flashcards: Settings',
+			icon: 'ti-settings',
+			onSelected: () => this.openSettings(),
+		});
+
+		this.ui.addCommandPaletteCommand({
+			label: 'Flashcards: Assign Preset',
+			icon: 'ti-adjustments',
+			onSelected: () => this.assignPreset(),
+		});
+
+		this.ui.addCommandPaletteCommand({
+			label: 'Flashcards: Dashboard',
+			icon: 'ti-flame',
+			onSelected: () => this.openDashboard(),
+		});
+
+		// Sidebar item — opens the dashboard
+		this.ui.addSidebarItem({
+			label: 'Flashcards',
+			icon: 'ti-flame',
+			tooltip: 'Flashcards Dashboard',
+			onClick: () => this.openDashboard(),
+		});
+
+		// Register custom panel for practice UI
+		this.ui.registerCustomPanelType(PANEL_ID, (panel) => {
+			const title = this._practiceTitle || 'Practice Flashcards';
+			panel.setTitle(title);
+			this._renderPracticePanel(panel);
+		});
+
+		// Register custom panel for dashboard
+		this.ui.registerCustomPanelType(DASHBOARD_PANEL_ID, (panel) => {
+			panel.setTitle('Flashcards Dashboard');
+			this._renderDashboardPanel(panel);
+		});
+
+		// Register custom panel for settings
+		this.ui.registerCustomPanelType(SETTINGS_PANEL_ID, (panel) => {
+			panel.setTitle('Flashcard Settings');
+			this._renderSettingsPanel(panel);
+		});
+
+		// Register custom panel for the integrity report
+		this.ui.registerCustomPanelType(INTEGRITY_PANEL_ID, (panel) => {
+			panel.setTitle('Flashcard Integrity');
+			this._renderIntegrityPanel(panel);
+		});
+
+		// Register custom panel for the image occlusion editor
+		this.ui.registerCustomPanelType(OCCLUSION_PANEL_ID, (panel) => {
+			panel.setTitle('Image Occlusion');
+			this._renderOcclusionPanel(panel);
+		});
+
+		this._syncAutoDetect();
+	}
+
+	// ── Configuration ─────────────────────────────────────────────────────
+
+	/**
+	 * Rebuild the scheduler from the plugin's custom configuration.
+	 * @param {Record<string, any>} custom
+	 */
+	_applyConfiguration(custom) {
+		this._custom = custom;
+		const { settings } = validateSettings(custom.settings || {});
+		this._settings = settings;
+		const w = custom.fsrs_weights;
+		const valid = Array.isArray(w) && w.length === 21 && w.every(Number.isFinite);
+		const base = fsrsParameters(valid ? { ...settings, w } : settings);
+		f = fsrs(base);
+
+		// One scheduler per preset, overriding the global settings
+		this._presets = validatePresets(Array.isArray(custom.presets) ? custom.presets : []).presets.filter(p => p.id);
+		this._schedulers = new Map(this._presets.map(preset => [preset.id, fsrs({ ...base, ...fsrsParameters(preset) })]));
+	}
+
+	/**
+	 * The scheduler for a card: its preset's, or the global one.
+	 * @param {Pick<CardEntry, 'preset'>} entry
+	 * @returns {import('ts-fsrs').FSRS}
+	 */
+	_schedulerFor(entry) {
+		return (entry.preset && this._schedulers?.get(entry.preset)) || f;
+	}
+
+	/**
+	 * Resolve which preset each note uses. Only collections with a preset
+	 * assigned have their notes listed.
+	 * @returns {Promise<Map<string, string>>} note guid → preset id
+	 */
+	async _loadPresetIndex() {
+		const assignments = this._custom?.preset_assignments || {};
+		const presets = this._presets || [];
+		/** @type {Map<string, string[]>} */
+		const collectionRecords = new Map();
+		if (presets.length > 0 && Object.keys(assignments).length > 0) {
+			for (const collection of await this.data.getAllCollections()) {
+				if (!(collection.guid in assignments)) continue;
+				const records = await collection.getAllRecords();
+				collectionRecords.set(collection.guid, records.map(r => r.guid));
+			}
+		}
+		return buildPresetIndex(assignments, presets, collectionRecords);
+	}
+
+	// ── Daily limits ──────────────────────────────────────────────────────
+
+	/**
+	 * Extra new cards and reviews allowed today, on top of the daily limits.
+	 * @returns {{ new: number, reviews: number }}
+	 */
+	_todayBoost() {
+		const boost = this._custom?.limit_boost;
+		return boost && boost.day === dayKey(new Date())
+			? { new: Number(boost.new) || 0, reviews: Number(boost.reviews) || 0 }
+			: { new: 0, reviews: 0 };
+	}
+
+	/**
+	 * Today's limits for cards of a preset (null for the global settings).
+	 * @param {string | null} preset
+	 * @returns {{ new_per_day: number, reviews_per_day: number }}
+	 */
+	_limitsFor(preset) {
+		const settings = this._settings || DEFAULT_SETTINGS;
+		const p = preset ? (this._presets || []).find(x => x.id === preset) : null;
+		const boost = this._todayBoost();
+		return {
+			new_per_day: (p?.new_per_day ?? settings.new_per_day) + boost.new,
+			reviews_per_day: (p?.reviews_per_day ?? settings.reviews_per_day) + boost.reviews,
+		};
+	}
+
+	/**
+	 * Hold back due cards beyond today's limits. What was already studied
+	 * today is read from the review logs of all tracked cards, so limits hold
+	 * across sessions.
+	 * @param {CardEntry[]} allCards - every tracked card
+	 * @param {CardEntry[]} due - due cards in scope, in the order they'd be shown
+	 * @returns {{ cards: CardEntry[], heldNew: number, heldReviews: number }}
+	 */
+	_applyDailyLimits(allCards, due) {
+		const studied = countStudiedOn(
+			allCards.map(e => ({ preset: e.preset, log: readReviewLog(e.lineItem, e.keys) })),
+			dayKey(new Date()),
+		);
+		return applyDailyLimits(due, (preset) => this._limitsFor(preset), studied);
+	}
+
+	/**
+	 * Allow more new cards or reviews today, then restart the practice session.
+	 * @param {'new' | 'reviews'} kind
+	 * @param {number} amount
+	 */
+	async _raiseTodayLimit(kind, amount) {
+		const boost = this._todayBoost();
+		boost[kind] += amount;
+		await this._saveCustomConfig({ limit_boost: { day: dayKey(new Date()), ...boost } });
+		await this._startPracticeSession({
+			recordGuids: this._practiceRecordGuids || undefined,
+			title: this._practiceTitle || undefined,
+			cram: this._cram || undefined,
+		});
+	}
+
+	// ── Presets ───────────────────────────────────────────────────────────
+
+	/**
+	 * Assign a preset to the active collection, or else the active note.
+	 */
+	async assignPreset() {
+		const target = this._activeTarget();
+		if (!target) {
+			this.ui.addToaster({
+				title: 'No note or collection',
+				message: 'Open a note or collection first, then run "Flashcards: Assign Preset".',
+				dismissible: true,
+				autoDestroyTime: 4000,
+			});
+			return;
+		}
+
+		const presets = this._presets || [];
+		if (presets.length === 0) {
+			this.ui.addToaster({
+				title: 'No presets yet',
+				message: 'Create a preset in "Flashcards: Settings" first.',
+				dismissible: true,
+				autoDestroyTime: 4000,
+			});
+			return;
+		}
+
+		const current = this._custom?.preset_assignments?.[target.guid];
+		this._showPicker(
+			[
+				...presets.map(p => ({
+					label: p.id === current ? `${p.name} (current)` : p.name,
+					onSelected: () => this._setPresetAssignment(target, p),
+				})),
+				{
+					label: current ? 'Global settings (remove preset)' : 'Global settings (current)',
+					onSelected: () => this._setPresetAssignment(target, null),
+				},
+			],
+			`Preset for ${target.kind} "${target.name}"…`,
+		);
+	}
+
+	/**
+	 * The collection open in the active panel, or else its note.
+	 * @returns {{ guid: string, name: string, kind: 'note' | 'collection', collection: PluginCollectionAPI | null } | null}
+	 */
+	_activeTarget() {
+		const panel = this.ui.getActivePanel();
+		const collection = panel?.getActiveCollection() || null;
+		const record = collection ? null : panel?.getActiveRecord();
+		if (collection) return { guid: collection.guid, name: collection.getName(), kind: 'collection', collection };
+		return record ? { guid: record.guid, name: record.getName(), kind: 'note', collection: null } : null;
+	}
+
+	/**
+	 * @param {{ guid: string, name: string, kind: string }} target - note or collection
+	 * @param {import('./lib.js').SchedulerPreset | null} preset - null to use the global settings
+	 */
+	async _setPresetAssignment(target, preset) {
+		const assignments = { ...(this._custom?.preset_assignments || {}) };
+		if (preset) assignments[target.guid] = preset.id;
+		else delete assignments[target.guid];
+
+		const ok = await this._saveCustomConfig({ preset_assignments: assignments });
+		this.ui.addToaster({
+			title: ok ? 'Preset assigned' : 'Could not assign preset',
+			message: ok
+				? `Cards in ${target.kind} "${target.name}" now use ${preset ? `the "${preset.name}" preset` : 'the global settings'}.`
+				: 'The plugin configuration could not be updated.',
+			dismissible: true,
+			autoDestroyTime: 4000,
+		});
+	}
+
+	/**
+	 * Merge settings into the plugin's custom configuration, save it and apply
+	 * it right away.
+	 * @param {Record<string, any>} patch
+	 * @returns {Promise<boolean>}
+	 */
+	async _saveCustomConfig(patch) {
+		const custom = { ...(this._custom || {}), ...patch };
+		const api = this.data.getPluginByGuid(this.getGuid());
+		if (!api) return false;
+		const ok = await api.saveConfiguration({ ...this.getConfiguration(), custom });
+		if (ok) {
+			this._applyConfiguration(custom);
+			this._syncAutoDetect();
+		}
+		return ok;
+	}
+
+	// ── Settings ──────────────────────────────────────────────────────────
+
+	openSettings() {
+		const panel = this.ui.getActivePanel();
+		if (panel) {
+			panel.navigateToCustomType(SETTINGS_PANEL_ID);
+		}
+	}
+
+	/**
+	 * @param {PluginPanel} panel
+	 */
+	async _renderSettingsPanel(panel) {
+		const el = panel.getElement();
+		if (!el) return;
+
+		el.innerHTML = '';
+		const container = document.createElement('div');
+		container.className = 'fc-dashboard-container';
+		el.appendChild(container);
+
+		const custom = this._custom || {};
+		const hasWeights = Array.isArray(custom.fsrs_weights);
+
+		/**
+		 * @param {string} key
+		 * @param {string} label
+		 * @param {string} hint
+		 * @param {string} inputHTML
+		 */
+		const field = (key, label, hint, inputHTML) => `
+			<label class="fc-settings-field">
+				<span class="fc-settings-label">${label}</span>
+				${inputHTML}
+				<span class="fc-settings-hint">${hint}</span>
+				<span class="fc-settings-error" data-error-for="${key}"></span>
+			</label>
+		`;
+		/**
+		 * @param {string} key
+		 * @param {string} label
+		 * @param {string} hint
+		 */
+		const toggle = (key, label, hint) => `
+			<label class="fc-settings-field fc-settings-field--toggle">
+				<input type="checkbox" name="${key}">
+				<span>
+					<span class="fc-settings-label">${label}</span>
+					<span class="fc-settings-hint">${hint}</span>
+					<span class="fc-settings-error" data-error-for="${key}"></span>
+				</span>
+			</label>
+		`;
+
+		const orderLabels = {
+			due: 'Oldest due first',
+			random: 'Random',
+			note: 'By note',
+			retrievability: 'Most likely forgotten first',
+			difficulty: 'Hardest first',
+		};
+		const orderOptions = SESSION_ORDERS
+			.map(order => `<option value="${order}">${orderLabels[/** @type {keyof typeof orderLabels} */ (order)]}</option>`)
+			.join('');
+
+		container.innerHTML = `
+			<div class="fc-dashboard-header">
+				<div class="fc-dashboard-header-left">
+					<div class="fc-dashboard-title">Flashcard Settings</div>
+					<div class="fc-dashboard-subtitle">Scheduling options for all reviews — changes apply as soon as you save</div>
+				</div>
+				<div class="fc-dashboard-header-actions">
+					<button class="fc-dashboard-scan-btn" id="fc-settings-reset">Reset to Defaults</button>
+					<button class="fc-dashboard-practice-btn" id="fc-settings-save">Save</button>
+				</div>
+			</div>
+			<form class="fc-settings-form" id="fc-settings-form">
+				${field('request_retention', 'Target retention', 'Probability of recalling a card when it comes due, from 0.70 to 0.99. Higher means more reviews.',
+					'<input class="fc-settings-input" name="request_retention" type="number" min="0.7" max="0.99" step="0.01">')}
+				${field('maximum_interval', 'Maximum interval', 'Longest time between reviews, in days.',
+					'<input class="fc-settings-input" name="maximum_interval" type="number" min="1" max="36500" step="1">')}
+				${field('learning_steps', 'Learning steps', 'Same-day steps for new cards, e.g. <code>1m, 10m</code> (m, h or d). Leave empty for none.',
+					'<input class="fc-settings-input" name="learning_steps" type="text" autocomplete="off" spellcheck="false">')}
+				${field('relearning_steps', 'Relearning steps', 'Steps for cards you forgot, e.g. <code>10m</code>.',
+					'<input class="fc-settings-input" name="relearning_steps" type="text" autocomplete="off" spellcheck="false">')}
+				${field('new_per_day', 'New cards per day', 'How many new cards to introduce each day.',
+					'<input class="fc-settings-input" name="new_per_day" type="number" min="0" max="9999" step="1">')}
+				${field('reviews_per_day', 'Reviews per day', 'How many review cards to show each day. Learning cards are always shown.',
+					'<input class="fc-settings-input" name="reviews_per_day" type="number" min="0" max="9999" step="1">')}
+				${field('session_order', 'Session order', 'Order cards are shown in. New cards come last when sorting by recall or difficulty.',
+					`<select class="fc-settings-input" name="session_order">${orderOptions}</select>`)}
+				${field('reviews_per_new', 'Reviews between new cards', 'Show one new card after this many others. 0 keeps new cards in the session order.',
+					'<input class="fc-settings-input" name="reviews_per_new" type="number" min="0" max="99" step="1">')}
+				${toggle('load_balance', 'Balance review load', 'Within the range fuzzing allows, schedule reviews on days with fewer cards due. Needs fuzz intervals.')}
+				${toggle('avoid_same_note', 'Spread out cards from one note', 'Avoid showing two cards from the same note back to back.')}
+				${field('leech_threshold', 'Leech threshold', 'Forgetting a card this many times marks it as a leech, and again every half as many times after. 0 turns it off.',
+					'<input class="fc-settings-input" name="leech_threshold" type="number" min="0" max="99" step="1">')}
+				${toggle('leech_suspend', 'Suspend leeches', 'Take leeches out of practice until you rewrite and unsuspend them.')}
+				${toggle('auto_detect', 'Detect new cards automatically', 'Start tracking new flashcard lines in the background and whenever practice or the dashboard opens, without running Generate. Turn it off for one note with <strong>Flashcards: Toggle Auto-detect for This Note</strong>.')}
+				${field('auto_detect_minutes', 'Check for new cards every', 'Minutes between background checks.',
+					'<input class="fc-settings-input" name="auto_detect_minutes" type="number" min="1" max="1440" step="1">')}
+				${toggle('persist_index', 'Remember card notes', 'After the app reloads, read only the notes that held flashcards last time (plus new ones found by search) instead of scanning the whole workspace. Stored in this browser.')}
+				${toggle('enable_fuzz', 'Fuzz intervals', 'Spread reviews out by slightly randomizing intervals.')}
+				${toggle('enable_short_term', 'Short-term scheduling', 'Use learning steps for same-day reviews of learning cards.')}
+				<div class="fc-settings-field">
+					<span class="fc-settings-label">FSRS weights</span>
+					<span class="fc-settings-hint">${hasWeights
+						? 'Personalized weights from <strong>Flashcards: Optimize Parameters</strong> are in use.'
+						: 'Default weights. Run <strong>Flashcards: Optimize Parameters</strong> to personalize them.'}</span>
+					${hasWeights ? '<button type="button" class="fc-dashboard-scan-btn fc-settings-inline-btn" id="fc-settings-clear-weights">Use Default Weights</button>' : ''}
+				</div>
+				<div class="fc-settings-section">
+					<div class="fc-settings-section-header">
+						<div class="fc-settings-field">
+							<span class="fc-settings-label">Presets</span>
+							<span class="fc-settings-hint">Schedule a collection or note differently with <strong>Flashcards: Assign Preset</strong>. Blank fields use the settings above.</span>
+						</div>
+						<button type="button" class="fc-dashboard-scan-btn" id="fc-settings-add-preset">Add Preset</button>
+					</div>
+					<div class="fc-settings-presets" id="fc-settings-presets"></div>
+				</div>
+				<button type="submit" hidden></button>
+			</form>
+		`;
+
+		const form = /** @type {HTMLFormElement} */ (container.querySelector('#fc-settings-form'));
+		const input = (/** @type {string} */ name) => /** @type {HTMLInputElement} */ (form.querySelector(`[name="${name}"]`));
+
+		const fill = (/** @type {import('./lib.js').SchedulerSettings} */ settings) => {
+			input('request_retention').value = String(settings.request_retention);
+			input('maximum_interval').value = String(settings.maximum_interval);
+			input('learning_steps').value = settings.learning_steps.join(', ');
+			input('relearning_steps').value = settings.relearning_steps.join(', ');
+			input('new_per_day').value = String(settings.new_per_day);
+			input('reviews_per_day').value = String(settings.reviews_per_day);
+			input('session_order').value = settings.session_order;
+			input('reviews_per_new').value = String(settings.reviews_per_new);
+			input('avoid_same_note').checked = settings.avoid_same_note;
+			input('load_balance').checked = settings.load_balance;
+			input('leech_threshold').value = String(settings.leech_threshold);
+			input('leech_suspend').checked = settings.leech_suspend;
+			input('auto_detect').checked = settings.auto_detect;
+			input('auto_detect_minutes').value = String(settings.auto_detect_minutes);
+			input('persist_index').checked = settings.persist_index;
+			input('enable_fuzz').checked = settings.enable_fuzz;
+			input('enable_short_term').checked = settings.enable_short_term;
+		};
+		fill(validateSettings(custom.settings || {}).settings);
+
+		// Preset drafts keep form values as typed until saved
+		const presetList = /** @type {HTMLElement} */ (container.querySelector('#fc-settings-presets'));
+		/** @type {Record<string, string>[]} */
+		const drafts = (this._presets || []).map(p => ({
+			id: p.id,
+			name: p.name,
+			request_retention: p.request_retention != null ? String(p.request_retention) : '',
+			maximum_interval: p.maximum_interval != null ? String(p.maximum_interval) : '',
+			learning_steps: p.learning_steps ? p.learning_steps.join(', ') : '',
+			relearning_steps: p.relearning_steps ? p.relearning_steps.join(', ') : '',
+			new_per_day: p.new_per_day != null ? String(p.new_per_day) : '',
+			reviews_per_day: p.reviews_per_day != null ? String(p.reviews_per_day) : '',
+		}));
+		/** @type {Record<string, string>[]} */
+		let presetErrors = [];
+
+		// Names of the notes and collections each preset is assigned to
+		const assignments = custom.preset_assignments || {};
+		const collectionNames = new Map();
+		if (Object.keys(assignments).length > 0) {
+			for (const c of await this.data.getAllCollections()) collectionNames.set(c.guid, c.getName());
+		}
+		const usedBy = (/** @type {string} */ id) => Object.entries(assignments)
+			.filter(([, presetId]) => presetId === id)
+			.map(([guid]) => collectionNames.get(guid) || this.data.getRecord(guid)?.getName())
+			.filter(Boolean);
+
+		const presetInputs = [
+			{ key: 'request_retention', label: 'Retention', type: 'number', attrs: 'min="0.7" max="0.99" step="0.01"' },
+			{ key: 'maximum_interval', label: 'Max interval (days)', type: 'number', attrs: 'min="1" max="36500" step="1"' },
+			{ key: 'learning_steps', label: 'Learning steps', type: 'text', attrs: 'autocomplete="off" spellcheck="false"' },
+			{ key: 'relearning_steps', label: 'Relearning steps', type: 'text', attrs: 'autocomplete="off" spellcheck="false"' },
+			{ key: 'new_per_day', label: 'New cards per day', type: 'number', attrs: 'min="0" max="9999" step="1"' },
+			{ key: 'reviews_per_day', label: 'Reviews per day', type: 'number', attrs: 'min="0" max="9999" step="1"' },
+		];
+
+		const renderPresets = () => {
+			presetList.innerHTML = drafts.length === 0
+				? '<div class="fc-settings-hint">No presets yet.</div>'
+				: '';
+			drafts.forEach((draft, i) => {
+				const errors = presetErrors[i] || {};
+				const users = usedBy(draft.id);
+				const row = document.createElement('div');
+				row.className = 'fc-settings-preset';
+				row.innerHTML = `
+					<div class="fc-settings-preset-header">
+						<input class="fc-settings-input fc-settings-preset-name" data-key="name" type="text" placeholder="Preset name" autocomplete="off">
+						<button type="button" class="fc-dashboard-scan-btn" title="Delete preset">Delete</button>
+					</div>
+					<span class="fc-settings-error">${esc(errors.name || '')}</span>
+					<div class="fc-settings-preset-grid">
+						${presetInputs.map(({ key, label, type, attrs }) => `
+							<label class="fc-settings-field">
+								<span class="fc-settings-hint">${label}</span>
+								<input class="fc-settings-input" data-key="${key}" type="${type}" ${attrs}>
+								<span class="fc-settings-error">${esc(errors[key] || '')}</span>
+							</label>
+						`).join('')}
+					</div>
+					<span class="fc-settings-hint">${users.length > 0 ? `Used by ${esc(users.join(', '))}` : 'Not assigned yet'}</span>
+				`;
+
+				const globals = validateSettings(custom.settings || {}).settings;
+				row.querySelectorAll('input[data-key]').forEach(node => {
+					const input = /** @type {HTMLInputElement} */ (node);
+					const key = input.getAttribute('data-key') || '';
+					input.value = draft[key] || '';
+					if (key !== 'name') {
+						const value = globals[/** @type {typeof PRESET_FIELDS[number]} */ (key)];
+						input.placeholder = Array.isArray(value) ? value.join(', ') || 'none' : String(value);
+					}
+					input.addEventListener('input', () => { draft[key] = input.value; });
+				});
+				row.querySelector('button')?.addEventListener('click', () => {
+					drafts.splice(i, 1);
+					presetErrors.splice(i, 1);
+					renderPresets();
+				});
+				presetList.appendChild(row);
+			});
+		};
+		renderPresets();
+
+		container.querySelector('#fc-settings-add-preset')?.addEventListener('click', () => {
+			drafts.push({ id: 'p' + Date.now().toString(36), name: '' });
+			renderPresets();
+			const names = presetList.querySelectorAll('.fc-settings-preset-name');
+			const last = /** @type {HTMLInputElement | undefined} */ (names[names.length - 1]);
+			last?.focus();
+		});
+
+		const save = async () => {
+			const { settings, errors } = validateSettings({
+				request_retention: input('request_retention').value,
+				maximum_interval: input('maximum_interval').value,
+				learning_steps: input('learning_steps').value,
+				relearning_steps: input('relearning_steps').value,
+				new_per_day: input('new_per_day').value,
+				reviews_per_day: input('reviews_per_day').value,
+				session_order: input('session_order').value,
+				reviews_per_new: input('reviews_per_new').value,
+				avoid_same_note: input('avoid_same_note').checked,
+				load_balance: input('load_balance').checked,
+				leech_threshold: input('leech_threshold').value,
+				leech_suspend: input('leech_suspend').checked,
+				auto_detect: input('auto_detect').checked,
+				auto_detect_minutes: input('auto_detect_minutes').value,
+				persist_index: input('persist_index').checked,
+				enable_fuzz: input('enable_fuzz').checked,
+				enable_short_term: input('enable_short_term').checked,
+			});
+			form.querySelectorAll('.fc-settings-error[data-error-for]').forEach(span => {
+				span.textContent = errors[span.getAttribute('data-error-for') || ''] || '';
+			});
+
+			const validated = validatePresets(drafts);
+			presetErrors = validated.errors;
+			renderPresets();
+			if (Object.keys(errors).length > 0 || presetErrors.some(e => Object.keys(e).length > 0)) return;
+
+			// Drop assignments of deleted presets
+			const ids = new Set(validated.presets.map(p => p.id));
+			const keptAssignments = Object.fromEntries(Object.entries(assignments).filter(([, id]) => ids.has(id)));
+
+			const ok = await this._saveCustomConfig({
+				settings,
+				presets: validated.presets,
+				preset_assignments: keptAssignments,
+			});
+			this.ui.addToaster({
+				title: ok ? 'Settings saved' : 'Could not save settings',
+				message: ok
+					? 'New reviews are scheduled with these settings.'
+					: 'The plugin configuration could not be updated.',
+				dismissible: true,
+				autoDestroyTime: 3000,
+			});
+		};
+
+		form.addEventListener('submit', (e) => {
+			e.preventDefault();
+			save();
+		});
+		container.querySelector('#fc-settings-save')?.addEventListener('click', () => save());
+		container.querySelector('#fc-settings-reset')?.addEventListener('click', () => {
+			fill(validateSettings().settings);
+			form.querySelectorAll('.fc-settings-error[data-error-for]').forEach(span => { span.textContent = ''; });
+		});
+		container.querySelector('#fc-settings-clear-weights')?.addEventListener('click', async () => {
+			const ok = await this._saveCustomConfig({ fsrs_weights: null });
+			if (ok) this._renderSettingsPanel(panel);
+		});
+	}
+
+	// ── Optimize parameters ───────────────────────────────────────────────
+
+	/**
+	 * Train FSRS weights on the review logs of all tracked cards and offer to
+	 * save them if they predict recall better than the current ones.
+	 */
+	async optimizeParameters() {
+		if (this._optimizing) return;
+
+		const cards = await this._collectAllCards();
+		const sequences = reviewSequences(cards.map(e => readReviewLog(e.lineItem, e.keys)));
+		const initial = [...f.parameters.w];
+		const settings = this._settings || DEFAULT_SETTINGS;
+		const enableShortTerm = settings.enable_short_term;
+		const { count } = fsrsLogLoss(initial, sequences, enableShortTerm);
+
+		if (count < MIN_OPTIMIZE_REVIEWS) {
+			this.ui.addToaster({
+				title: 'Not enough review history',
+				message: `Found ${count} usable review${count !== 1 ? 's' : ''}; at least ${MIN_OPTIMIZE_REVIEWS} are needed to optimize parameters. Keep practicing!`,
+				dismissible: true,
+				autoDestroyTime: 5000,
+			});
+			return;
+		}
+
+		this._optimizing = true;
+		const progress = this.ui.addToaster({
+			title: 'Optimizing FSRS parameters',
+			messageHTML: `Training on ${count} reviews from ${sequences.length} cards… <span class="fc-optimize-progress"></span>`,
+			dismissible: false,
+		});
+		const progressText = progress.element.querySelector('.fc-optimize-progress');
+
+		let result;
+		try {
+			result = await optimizeWeights(sequences, {
+				initial,
+				enableShortTerm,
+				relearningSteps: settings.relearning_steps.length,
+				onProgress: (step, steps, loss) => {
+					if (progressText) progressText.textContent = `Step ${step} of ${steps}, log-loss ${loss.toFixed(4)}.`;
+				},
+			});
+		} catch (err) {
+			this.ui.addToaster({
+				title: 'Could not optimize parameters',
+				message: err instanceof Error ? err.message : String(err),
+				dismissible: true,
+				autoDestroyTime: 5000,
+			});
+			return;
+		} finally {
+			progress.destroy();
+			this._optimizing = false;
+		}
+
+		const lossText = `Log-loss ${result.before.toFixed(4)} → ${result.after.toFixed(4)} over ${result.count} reviews.`;
+		if (!(result.after < result.before)) {
+			this.ui.addToaster({
+				title: 'Parameters already fit',
+				message: `${lossText} Your current weights were kept.`,
+				dismissible: true,
+				autoDestroyTime: 5000,
+			});
+			return;
+		}
+
+		const weights = result.weights.map(w => Math.round(w * 1e6) / 1e6);
+		this.ui.addToaster({
+			title: 'Optimized FSRS parameters',
+			message: `${lossText} Save the new weights to use them for scheduling?`,
+			dismissible: true,
+			primaryLabel: 'Save weights',
+			cancelLabel: 'Discard',
+			onPrimary: async () => {
+				const ok = await this._saveCustomConfig({ fsrs_weights: weights });
+				this.ui.addToaster({
+					title: ok ? 'Weights saved' : 'Could not save weights',
+					message: ok
+						? 'Future reviews are scheduled with your personalized weights.'
+						: 'The plugin configuration could not be updated.',
+					dismissible: true,
+					autoDestroyTime: 4000,
+				});
+			},
+		});
+	}
+
+	// ── Recompute schedules ───────────────────────────────────────────────
+
+	/**
+	 * Replay every card's review log through the current scheduler. A dry-run
+	 * preview of how due dates would move is shown first; nothing is written
+	 * until it's applied.
+	 */
+	async recomputeSchedules() {
+		const cards = await this._collectAllCards();
+		/** @type {{ entry: CardEntry, card: import('ts-fsrs').Card }[]} */
+		const updates = [];
+		let skipped = 0;
+		for (const entry of cards) {
+			// Cards reset to New keep their old log, but have nothing to replay since
+			const card = entry.card.reps > 0
+				? replayReviewLog(this._schedulerFor(entry), readReviewLog(entry.lineItem, entry.keys))
+				: null;
+			if (card) updates.push({ entry, card });
+			else skipped++;
+		}
+
+		const skippedText = skipped
+			? ` ${skipped} card${skipped !== 1 ? 's have' : ' has'} no complete review log and ${skipped !== 1 ? 'were' : 'was'} left alone.`
+			: '';
+		if (updates.length === 0) {
+			this.ui.addToaster({
+				title: 'Nothing to recompute',
+				message: `No cards with a complete review log.${skippedText}`,
+				dismissible: true,
+				autoDestroyTime: 5000,
+			});
+			return;
+		}
+
+		const summary = summarizeDueShifts(updates.map(u => ({ before: u.entry.card.due, after: u.card.due })));
+		const days = (/** @type {number} */ d) => d < 1 ? `${Math.round(d * 24)}h` : `${d.toFixed(1)}d`;
+		const shiftText = summary.moved
+			? `${summary.moved} due date${summary.moved !== 1 ? 's' : ''} would move (${summary.earlier} earlier, ${summary.later} later; average ${days(summary.meanShiftDays)}, at most ${days(summary.maxShiftDays)}).`
+			: 'No due dates would move.';
+
+		this.ui.addToaster({
+			title: 'Recompute schedules',
+			message: `Replayed ${summary.total} card${summary.total !== 1 ? 's' : ''} with the current settings. ${shiftText}${skippedText}`,
+			dismissible: true,
+			primaryLabel: 'Apply',
+			cancelLabel: 'Cancel',
+			onPrimary: async () => {
+				for (const { entry, card } of updates) {
+					await cardToMeta(entry.lineItem, card, entry.keys);
+				}
+				this.ui.addToaster({
+					title: 'Schedules recomputed',
+					message: `Updated ${updates.length} card${updates.length !== 1 ? 's' : ''}.`,
+					dismissible: true,
+					autoDestroyTime: 4000,
+				});
+			},
+		});
+	}
+
+	// ── Reschedule backlog ────────────────────────────────────────────────
+
+	/**
+	 * Spread overdue review cards over the coming days, least likely to be
+	 * recalled first, after picking how many days and confirming a preview.
+	 */
+	async rescheduleBacklog() {
+		const now = new Date();
+		const allCards = (await this._collectAllCards()).filter(inRotation);
+		const backlog = allCards.filter(e => e.card.state === State.Review && e.card.due <= now);
+		if (backlog.length === 0) {
+			this.ui.addToaster({
+				title: 'No backlog',
+				message: 'There are no overdue review cards.',
+				dismissible: true,
+				autoDestroyTime: 4000,
+			});
+			return;
+		}
+
+		// Lowest retrievability first, so those stay due soonest
+		const r = new Map(backlog.map(e => [e, this._schedulerFor(e).get_retrievability(e.card, now, false)]));
+		backlog.sort((a, b) => r.get(a) - r.get(b));
+		const load = countDueByDay(allCards.filter(e => !r.has(e)));
+
+		this._showPicker(
+			[3, 5, 7, 14, 30].map(days => ({
+				label: `Over ${days} days (about ${Math.ceil(backlog.length / days)} a day)`,
+				onSelected: () => this._previewBacklogSpread(backlog, spreadBacklog(backlog.length, days, load, now), days, now),
+			})),
+			`Spread ${backlog.length} overdue card${backlog.length !== 1 ? 's' : ''}…`,
+		);
+	}
+
+	/**
+	 * Show how a backlog would be spread and write the new due dates once
+	 * applied. Cards kept for today are left untouched.
+	 * @param {CardEntry[]} backlog - in priority order
+	 * @param {number[]} offsets - day offset for each card, from spreadBacklog
+	 * @param {number} days
+	 * @param {Date} now
+	 */
+	_previewBacklogSpread(backlog, offsets, days, now) {
+		const updates = backlog
+			.map((entry, i) => ({ entry, offset: offsets[i] }))
+			.filter(u => u.offset > 0);
+		const today = backlog.length - updates.length;
+
+		this.ui.addToaster({
+			title: 'Reschedule backlog',
+			message: `${today} card${today !== 1 ? 's stay' : ' stays'} due today; ${updates.length} would move to the next ${days - 1} day${days - 1 !== 1 ? 's' : ''}, the ones you're most likely to remember last.`,
+			dismissible: true,
+			primaryLabel: 'Apply',
+			cancelLabel: 'Cancel',
+			onPrimary: async () => {
+				for (const { entry, offset } of updates) {
+					const due = new Date(now.getTime() + offset * DAY_MS);
+					await cardToMeta(entry.lineItem, moveDue(entry.card, due), entry.keys);
+				}
+				this.ui.addToaster({
+					title: 'Backlog rescheduled',
+					message: `Moved ${updates.length} card${updates.length !== 1 ? 's' : ''}.`,
+					dismissible: true,
+					autoDestroyTime: 4000,
+				});
+			},
+		});
+	}
+
+	// ── Card index ────────────────────────────────────────────────────────
+
+	/**
+	 * Every flashcard line in the workspace, keyed by line item guid. Built
+	 * from a full scan once (or, when remembered, from the notes that held
+	 * cards last session), then kept up to date: notes with cards are read
+	 * again when any of their lines changed, and a search for the separator
+	 * finds new card lines in other notes.
+	 * @param {object} [opts]
+	 * @param {boolean} [opts.full] - rebuild from a full scan
+	 * @returns {Promise<Map<string, IndexedLine>>}
+	 */
+	_getCardIndex({ full = false } = {}) {
+		// One refresh at a time — the dashboard and a practice session may ask together
+		const run = (this._indexQueue || Promise.resolve()).then(() => this._refreshCardIndex(full));
+		this._indexQueue = run.catch(() => {});
+		return run;
+	}
+
+	/**
+	 * @param {boolean} full - rebuild from a full scan
+	 * @returns {Promise<Map<string, IndexedLine>>}
+	 */
+	async _refreshCardIndex(full) {
+		// Notes read during this refresh
+		const read = new Set();
+
+		if (!this._cardIndex || full) {
+			this._cardIndex = new Map();
+			this._noteStamps = new Map();
+			const remembered = full ? null : this._loadIndexedNotes();
+			const records = remembered
+				? remembered.map(guid => this.data.getRecord(guid)).filter(r => r != null)
+				: this.data.getAllRecords();
+			for (const record of /** @type {PluginRecord[]} */ (records)) {
+				await this._indexRecord(record);
+				read.add(record.guid);
+			}
+			if (!remembered) {
+				this._saveIndexedNotes();
+				return this._cardIndex;
+			}
+		}
+
+		const result = await this.data.searchByQuery(SEPARATOR, INDEX_SEARCH_LIMIT);
+		if (result.error || result.lines.length >= INDEX_SEARCH_LIMIT) {
+			return this._refreshCardIndex(true);
+		}
+
+		const stale = staleIndexRecords(this._cardIndex, result.lines.map(li => ({
+			guid: li.guid,
+			recordGuid: li.record?.guid,
+			updatedAt: li.getUpdatedAt()?.getTime() || 0,
+		})));
+		for (const recordGuid of this._staleRecords || []) stale.add(recordGuid);
+		this._staleRecords = new Set();
+		for (const recordGuid of stale) {
+			if (read.has(recordGuid)) continue;
+			// Deleted notes just drop out
+			const record = this.data.getRecord(recordGuid);
+			this._forgetIndexedRecord(recordGuid);
+			if (record) await this._indexRecord(record);
+			read.add(recordGuid);
+		}
+
+		// A card's back and breadcrumb come from lines without the separator,
+		// which the search can't see change, so compare every line of the note
+		for (const [recordGuid, stamp] of [.../** @type {Map<string, string>} */ (this._noteStamps)]) {
+			if (read.has(recordGuid)) continue;
+			const record = this.data.getRecord(recordGuid);
+			/** @type {PluginLineItem[] | null} */
+			let lineItems = null;
+			try {
+				lineItems = record ? await record.getLineItems() : null;
+			} catch {
+				continue;
+			}
+			if (record && lineItems && noteStamp(lineStamps(lineItems)) === stamp) continue;
+			this._forgetIndexedRecord(recordGuid);
+			if (record && lineItems) await this._indexRecord(record, lineItems);
+		}
+
+		this._saveIndexedNotes();
+		return this._cardIndex;
+	}
+
+	/**
+	 * Have the card index read a note again on its next refresh, for changes
+	 * the separator search can't see (e.g. image occlusion regions).
+	 * @param {string} recordGuid
+	 */
+	_invalidateRecord(recordGuid) {
+		this._staleRecords = this._staleRecords || new Set();
+		this._staleRecords.add(recordGuid);
+	}
+
+	/**
+	 * Drop one note's lines from the card index.
+	 * @param {string} recordGuid
+	 */
+	_forgetIndexedRecord(recordGuid) {
+		const index = /** @type {Map<string, IndexedLine>} */ (this._cardIndex);
+		for (const [guid, line] of index) {
+			if (line.record.guid === recordGuid) index.delete(guid);
+		}
+		this._noteStamps?.delete(recordGuid);
+	}
+
+	/**
+	 * Read one note's flashcard lines into the card index, and remember the
+	 * note's stamp if it has any.
+	 * @param {PluginRecord} record
+	 * @param {PluginLineItem[]} [lineItems] - the note's lines, if already read
+	 */
+	async _indexRecord(record, lineItems) {
+		const index = /** @type {Map<string, IndexedLine>} */ (this._cardIndex);
+
+		if (!lineItems) {
+			try {
+				lineItems = await record.getLineItems();
+			} catch {
+				return;
+			}
+		}
+
+		const byGuid = new Map();
+		for (const li of lineItems) byGuid.set(li.guid, li);
+
+		let found = false;
+		for (const li of lineItems) {
+			if (isNestedUnderSeparator(li, byGuid)) continue;
+
+			// One line can hold several cards (e.g. one per cloze number)
+			const cards = parseCards(li);
+			if (cards.length === 0) continue;
+			found = true;
+			index.set(li.guid, {
+				lineItem: li,
+				record,
+				ancestors: buildAncestorBreadcrumb(li, lineItems),
+				cards,
+				updatedAt: li.getUpdatedAt()?.getTime() || 0,
+				searchable: segmentsToText(li.segments).includes(SEPARATOR),
+			});
+		}
+		if (found) this._noteStamps?.set(record.guid, noteStamp(lineStamps(lineItems)));
+	}
+
+	/**
+	 * The notes that held cards when the index was last refreshed, if
+	 * "Remember card notes" is on and they were saved in this browser.
+	 * @returns {string[] | null}
+	 */
+	_loadIndexedNotes() {
+		if (!this._settings.persist_index) return null;
+		try {
+			const saved = JSON.parse(localStorage.getItem(this._indexStorageKey()) || 'null');
+			return Array.isArray(saved) ? saved.filter(guid => typeof guid === 'string') : null;
+		} catch {
+			return null;
+		}
+	}
+
+	_saveIndexedNotes() {
+		try {
+			if (this._settings.persist_index) {
+				localStorage.setItem(this._indexStorageKey(), JSON.stringify([...(this._noteStamps?.keys() || [])]));
+			} else {
+				localStorage.removeItem(this._indexStorageKey());
+			}
+		} catch {
+			// Storage unavailable or full — the next session scans everything
+		}
+	}
+
+	_indexStorageKey() {
+		return `flashcards-index:${this.getGuid()}:${this.getWorkspaceGuid()}`;
+	}
+
+	// ── Automatic detection ───────────────────────────────────────────────
+
+	/**
+	 * Start or stop looking for new cards in the background, and show or hide
+	 * the status bar item, to match the settings.
+	 */
+	_syncAutoDetect() {
+		clearInterval(this._autoDetectTimer);
+		this._autoDetectTimer = null;
+		if (!this._settings.auto_detect) {
+			this._autoDetectItem?.remove();
+			this._autoDetectItem = null;
+			return;
+		}
+
+		if (!this._autoDetectItem) {
+			this._autoDetectItem = this.ui.addStatusBarItem({
+				icon: 'ti-flame',
+				label: 'Flashcards',
+				tooltip: 'Flashcards: looking for new cards automatically',
+				// The status item shows failures
+				onClick: () => { this._autoDetectCards().catch(() => {}); },
+			});
+		}
+		this._autoDetectTimer = setInterval(() => { this._autoDetectCards().catch(() => {}); }, this._settings.auto_detect_minutes * 60 * 1000);
+	}
+
+	/**
+	 * Start tracking cards that have no FSRS metadata yet, in every note that
+	 * hasn't opted out, and report the result in the status bar.
+	 * @returns {Promise<Map<string, IndexedLine>>} the card index
+	 */
+	_autoDetectCards() {
+		// The timer and an opening panel may ask together
+		if (!this._autoDetecting) {
+			this._autoDetecting = this._runAutoDetect().finally(() => {
+				this._autoDetecting = null;
+			});
+		}
+		return this._autoDetecting;
+	}
+
+	/**
+	 * @returns {Promise<Map<string, IndexedLine>>}
+	 */
+	async _runAutoDetect() {
+		const item = this._autoDetectItem;
+		item?.setIcon('ti-loader');
+		try {
+			const index = await this._getCardIndex();
+			const untracked = untrackedCards(
+				index.values(),
+				new Set(this._custom?.auto_detect_off || []),
+				new Set(this._custom?.auto_detect_off_lines || []),
+			);
+			const now = new Date();
+			for (const { lineItem, fc } of untracked) {
+				await initCardMeta(lineItem, fc, now);
+			}
+
+			this._autoDetected = (this._autoDetected || 0) + untracked.length;
+			const time = now.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+			item?.setIcon('ti-flame');
+			item?.setLabel(this._autoDetected > 0 ? `Flashcards +${this._autoDetected}` : 'Flashcards');
+			item?.setTooltip(`Flashcards: last checked at ${time}. ${this._autoDetected} new ${this._autoDetected === 1 ? 'card' : 'cards'} found since startup. Click to check now.`);
+			return index;
+		} catch (err) {
+			item?.setIcon('ti-alert-triangle');
+			item?.setTooltip(`Flashcards: could not check for new cards (${err instanceof Error ? err.message : err}). Click to try again.`);
+			throw err;
+		}
+	}
+
+	/**
+	 * Turn automatic detection off (or back on) for the active note. Generate
+	 * still tracks the note's cards.
+	 */
+	async toggleAutoDetectForNote() {
+		const record = this.ui.getActivePanel()?.getActiveRecord();
+		if (!record) {
+			this.ui.addToaster({
+				title: 'No note open',
+				message: 'Open a note first, then run "Flashcards: Toggle Auto-detect for This Note".',
+				dismissible: true,
+				autoDestroyTime: 4000,
+			});
+			return;
+		}
+
+		const off = new Set(this._custom?.auto_detect_off || []);
+		const optOut = !off.has(record.guid);
+		if (optOut) off.add(record.guid);
+		else off.delete(record.guid);
+
+		const ok = await this._saveCustomConfig({ auto_detect_off: [...off] });
+		const name = record.getName();
+		this.ui.addToaster({
+			title: !ok ? 'Could not update note' : optOut ? 'Auto-detect off for this note' : 'Auto-detect on for this note',
+			message: !ok
+				? 'The plugin configuration could not be updated.'
+				: optOut
+					? `New cards in "${name}" are only tracked when you run "Flashcards: Generate".`
+					: this._settings.auto_detect
+						? `New cards in "${name}" are tracked automatically.`
+						: `New cards in "${name}" will be tracked automatically once you turn on auto-detect in "Flashcards: Settings".`,
+			dismissible: true,
+			autoDestroyTime: 4000,
+		});
+	}
+
+	// ── Generate flashcards ───────────────────────────────────────────────
+
+	async generateFlashcards() {
+		const index = await this._getCardIndex({ full: true });
+		let created = 0;
+		let existing = 0;
+		let scanned = 0;
+		// Tracking a line again lifts its auto-detect opt-out
+		const offLines = new Set(this._custom?.auto_detect_off_lines || []);
+		const offBefore = offLines.size;
+
+		for (const { lineItem: li, cards } of index.values()) {
+			for (const fc of cards) {
+				scanned++;
+
+				if (hasCardMeta(li, fc.keys)) {
+					existing++;
+				} else {
+					// Initialize new FSRS card
+					await initCardMeta(li, fc);
+					offLines.delete(li.guid);
+					created++;
+				}
+			}
+		}
+		if (offLines.size < offBefore) await this._saveCustomConfig({ auto_detect_off_lines: [...offLines] });
+
+		this.ui.addToaster({
+			title: 'Flashcards generated',
+			message: `Scanned ${this.data.getAllRecords().length} notes. Found ${scanned} flashcards: ${created} new, ${existing} already tracked.`,
+			dismissible: true,
+			autoDestroyTime: 5000,
+		});
+	}
+
+	// ── Dashboard ─────────────────────────────────────────────────────────
+
+	async openDashboard() {
+		const panel = this.ui.getActivePanel();
+		if (panel) {
+			panel.navigateToCustomType(DASHBOARD_PANEL_ID);
+		}
+	}
+
+	/**
+	 * Build a practice/dashboard entry for one card of an indexed line.
+	 * @param {IndexedLine} line
+	 * @param {ReturnType<typeof parseCards>[number]} fc
+	 * @param {Map<string, string>} presetIndex - from _loadPresetIndex
+	 * @returns {CardEntry}
+	 */
+	_buildEntry(line, fc, presetIndex) {
+		const { lineItem: li, record } = line;
+		return {
+			...fc,
+			lineItem: li,
+			card: metaToCard(li, fc.keys),
+			recordName: record.getName(),
+			recordGuid: record.guid,
+			ancestors: line.ancestors,
+			preset: presetIndex.get(record.guid) || null,
+			status: readCardStatus(li, fc.keys),
+			changed: isCardChanged(li, fc),
+		};
+	}
+
+	/**
+	 * Collect all generated flashcard line items (not just due ones).
+	 * Only includes cards that have been initialized, by "Flashcards: Generate"
+	 * or by auto-detect (which gets a chance to run first).
+	 * @returns {Promise<CardEntry[]>}
+	 */
+	async _collectAllCards() {
+		let index;
+		if (this._settings.auto_detect) {
+			// The status item shows failures; collect what is already tracked
+			index = await this._autoDetectCards().catch(() => this._getCardIndex());
+		} else {
+			index = await this._getCardIndex();
+		}
+		const presetIndex = await this._loadPresetIndex();
+		const allCards = [];
+
+		for (const line of index.values()) {
+			for (const fc of line.cards) {
+				if (!hasCardMeta(line.lineItem, fc.keys)) continue;
+				allCards.push(this._buildEntry(line, fc, presetIndex));
+			}
+		}
+
+		return allCards;
+	}
+
+	/**
+	 * @param {PluginPanel} panel
+	 */
+	async _renderDashboardPanel(panel) {
+		const el = panel.getElement();
+		if (!el) return;
+
+		el.innerHTML = '';
+		const container = document.createElement('div');
+		container.className = 'fc-dashboard-container';
+		el.appendChild(container);
+
+		// Loading state
+		container.innerHTML = `
+			<div class="fc-dashboard-header">
+				<div class="fc-dashboard-header-left">
+					<div class="fc-dashboard-title">Flashcards Dashboard</div>
+				</div>
+			</div>
+			<div class="fc-dashboard-loading">Loading flashcards…</div>
+		`;
+
+		const allCards = await this._collectAllCards();
+
+		container.innerHTML = '';
+
+		// Header
+		const header = document.createElement('div');
+		header.className = 'fc-dashboard-header';
+		header.innerHTML = `
+			<div class="fc-dashboard-header-left">
+				<div class="fc-dashboard-title">Flashcards Dashboard</div>
+				<div class="fc-dashboard-subtitle" id="fc-dashboard-subtitle"></div>
+			</div>
+			<div class="fc-dashboard-header-actions">
+				<button class="fc-dashboard-scan-btn" id="fc-dashboard-settings-btn">Settings</button>
+				<button class="fc-dashboard-scan-btn" id="fc-dashboard-scan-btn">Scan for New Cards</button>
+				<button class="fc-dashboard-practice-btn" id="fc-dashboard-practice-btn"></button>
+			</div>
+		`;
+		container.appendChild(header);
+
+		// Count due today — again whenever a card is suspended or buried
+		const updateCounts = () => {
+			const now = new Date();
+			const due = allCards.filter(e => e.card.due <= now && inRotation(e));
+			due.sort((a, b) => a.card.due.getTime() - b.card.due.getTime());
+			const today = this._applyDailyLimits(allCards, due);
+			const heldText = heldCardsText(today.heldNew, today.heldReviews);
+			const subtitle = header.querySelector('#fc-dashboard-subtitle');
+			const practiceBtn = header.querySelector('#fc-dashboard-practice-btn');
+			if (subtitle) subtitle.textContent = `Total flashcards: ${allCards.length}${heldText ? ` · ${heldText}` : ''}`;
+			if (practiceBtn) practiceBtn.textContent = `Practice Today's Cards (${today.cards.length})`;
+		};
+		updateCounts();
+
+		// Scan button click handler — generate then re-render dashboard
+		header.querySelector('#fc-dashboard-scan-btn')?.addEventListener('click', async () => {
+			await this.generateFlashcards();
+			this._renderDashboardPanel(panel);
+		});
+
+		header.querySelector('#fc-dashboard-settings-btn')?.addEventListener('click', () => {
+			panel.navigateToCustomType(SETTINGS_PANEL_ID);
+		});
+
+		// Practice button click handler
+		header.querySelector('#fc-dashboard-practice-btn')?.addEventListener('click', () => {
+			this._startPracticeSession();
+		});
+
+		if (allCards.length === 0) {
+			container.innerHTML += `
+				<div class="flashcard-empty">
+					<div class="flashcard-empty-emoji">📭</div>
+					<div class="flashcard-empty-title">No flashcards found</div>
+					<div class="flashcard-empty-subtitle">
+						Use <strong>Flashcards: Generate</strong> to scan your notes,<br>
+						or write cards with the <code>${esc(SEPARATOR)}</code> syntax:<br>
+						<code>Question ${esc(SEPARATOR)} Answer</code>
+					</div>
+				</div>
+			`;
+			return;
+		}
+
+		// Which collections each note with cards is in, for the collection filter
+		const cardNotes = new Map(allCards.map(e => [e.recordGuid, e.recordName]));
+		/** @type {Map<string, string[]>} */
+		const recordCollections = new Map();
+		/** @type {{ guid: string, name: string }[]} */
+		const collections = [];
+		for (const collection of await this.data.getAllCollections()) {
+			const guids = (await collection.getAllRecords()).map(r => r.guid).filter(guid => cardNotes.has(guid));
+			if (guids.length === 0) continue;
+			collections.push({ guid: collection.guid, name: collection.getName() });
+			for (const guid of guids) recordCollections.set(guid, [...(recordCollections.get(guid) || []), collection.guid]);
+		}
+		const notes = [...cardNotes].map(([guid, name]) => ({ guid, name }));
+		const byName = (/** @type {{ name: string }} */ a, /** @type {{ name: string }} */ b) => a.name.localeCompare(b.name);
+		notes.sort(byName);
+		collections.sort(byName);
+
+		/** @type {DashboardView} */
+		const view = { ...DEFAULT_DASHBOARD_VIEW, ...this._dashboardView };
+		if (!cardNotes.has(view.note)) view.note = '';
+		if (!collections.some(c => c.guid === view.collection)) view.collection = '';
+		this._dashboardView = view;
+
+		/**
+		 * @param {keyof DashboardView} key
+		 * @param {{ value: string, label: string }[]} options
+		 */
+		const select = (key, options) => `
+			<select class="fc-dashboard-filter" data-view="${key}">
+				${options.map(o => `<option value="${esc(o.value)}"${o.value === view[key] ? ' selected' : ''}>${esc(o.label)}</option>`).join('')}
+			</select>
+		`;
+
+		// Filter toolbar
+		const toolbar = document.createElement('div');
+		toolbar.className = 'fc-dashboard-toolbar';
+		toolbar.innerHTML = `
+			<input class="fc-dashboard-filter fc-dashboard-search" data-view="search" type="search" placeholder="Search front, back or note…" value="${esc(view.search)}">
+			${select('filter', DASHBOARD_FILTERS.map(f => ({ value: f.id, label: f.label })))}
+			${select('state', [
+				{ value: '', label: 'Any state' },
+				...[State.New, State.Learning, State.Review, State.Relearning].map(state => ({ value: String(state), label: State[state] })),
+			])}
+			${select('due', DUE_RANGES.map(range => ({ value: range, label: DUE_RANGE_LABELS[/** @type {keyof typeof DUE_RANGE_LABELS} */ (range)] })))}
+			${select('note', [{ value: '', label: 'All notes' }, ...notes.map(n => ({ value: n.guid, label: n.name }))])}
+			${select('collection', [{ value: '', label: 'All collections' }, ...collections.map(c => ({ value: c.guid, label: c.name }))])}
+			<button class="fc-dashboard-row-btn" id="fc-dashboard-clear">Clear</button>
+			<span class="fc-dashboard-filter-count" id="fc-dashboard-filter-count"></span>
+		`;
+		container.appendChild(toolbar);
+
+		const presetNames = new Map((this._presets || []).map(p => [p.id, p.name]));
+		const neverReviewed = (/** @type {CardEntry} */ e) => e.card.state === State.New && e.card.reps === 0;
+
+		// Table columns, with the value each one sorts by
+		/** @type {{ id: string, label: string, sort?: (entry: CardEntry) => string | number | null }[]} */
+		const columns = [
+			{ id: 'note', label: 'Parent Note', sort: e => e.recordName },
+			{ id: 'front', label: 'Front', sort: e => e.question },
+			{ id: 'back', label: 'Back', sort: e => e.answer },
+			{
+				id: 'direction',
+				label: 'Direction',
+				sort: e => e.occlusion ? `Region ${e.occlusion.active}` : e.cloze ? `Cloze ${e.cloze.number}` : e.reverse ? 'Back → Front' : 'Front → Back',
+			},
+			{ id: 'preset', label: 'Preset', sort: e => (e.preset && presetNames.get(e.preset)) || 'Default' },
+			{
+				id: 'status',
+				label: 'Status',
+				// Weightier statuses sort later
+				sort: e => (e.status.suspended ? 16 : 0) + (e.status.buried ? 8 : 0) + (e.status.leech ? 4 : 0) + (e.changed ? 2 : 0) + (e.status.flag ? 1 : 0) || null,
+			},
+			{ id: 'due', label: 'Due', sort: e => neverReviewed(e) ? null : e.card.due.getTime() },
+			{ id: 'reviews', label: 'Reviews', sort: e => e.card.reps },
+			{ id: 'last', label: 'Last Practiced', sort: e => e.card.last_review?.getTime() ?? null },
+			{ id: 'actions', label: '' },
+		];
+
+		// Table
+		const tableWrap = document.createElement('div');
+		tableWrap.className = 'fc-dashboard-table-wrap';
+
+		const table = document.createElement('table');
+		table.className = 'fc-dashboard-table';
+		const thead = document.createElement('thead');
+		const renderHeader = () => {
+			thead.innerHTML = `<tr>${columns.map(c => {
+				if (!c.sort) return `<th class="fc-dashboard-cell-${c.id}"></th>`;
+				const arrow = view.sort === c.id ? (view.dir === 'asc' ? ' ▲' : ' ▼') : '';
+				return `<th class="fc-dashboard-cell-${c.id} fc-dashboard-sortable" data-sort="${c.id}" title="Sort by ${esc(c.label.toLowerCase())}">${esc(c.label)}<span class="fc-dashboard-sort-arrow">${arrow}</span></th>`;
+			}).join('')}</tr>`;
+		};
+		renderHeader();
+		table.appendChild(thead);
+
+		const tbody = document.createElement('tbody');
+
+		/**
+		 * Build the table row for one card.
+		 * @param {CardEntry} entry
+		 * @returns {HTMLTableRowElement}
+		 */
+		const renderRow = (entry) => {
+			const tr = document.createElement('tr');
+
+			// Parent Note (clickable)
+			const tdNote = document.createElement('td');
+			tdNote.className = 'fc-dashboard-cell-note';
+			const noteLink = document.createElement('a');
+			noteLink.className = 'fc-dashboard-note-link';
+			noteLink.textContent = entry.recordName;
+			noteLink.href = '#';
+			noteLink.addEventListener('click', (e) => {
+				e.preventDefault();
+				this._openRecordInSplit(entry.recordGuid, panel);
+			});
+			tdNote.appendChild(noteLink);
+			tr.appendChild(tdNote);
+
+			// Front
+			const tdFront = document.createElement('td');
+			tdFront.className = 'fc-dashboard-cell-front';
+			tdFront.innerHTML = entry.questionSegments
+				? this._segmentsToHTML(entry.questionSegments)
+				: esc(entry.question);
+			tr.appendChild(tdFront);
+
+			// Back
+			const tdBack = document.createElement('td');
+			tdBack.className = 'fc-dashboard-cell-back';
+			const firstLine = entry.answerLines && entry.answerLines[0];
+			const firstLineHTML = firstLine && firstLine.segments
+				? this._segmentsToHTML(firstLine.segments)
+				: esc(firstLine ? firstLine.text : entry.answer);
+			tdBack.innerHTML = entry.answerLines && entry.answerLines.length > 1
+				? firstLineHTML + ' …'
+				: firstLineHTML;
+			tr.appendChild(tdBack);
+
+			// Direction
+			const tdDirection = document.createElement('td');
+			tdDirection.className = 'fc-dashboard-cell-direction';
+			if (entry.occlusion) {
+				tdDirection.textContent = `Region ${entry.occlusion.active}`;
+			} else if (entry.cloze) {
+				tdDirection.textContent = `Cloze ${entry.cloze.number}`;
+			} else if (entry.reverse) {
+				tdDirection.innerHTML = '<span class="fc-dashboard-badge-reverse">Back → Front</span>';
+			} else {
+				tdDirection.textContent = 'Front → Back';
+			}
+			tr.appendChild(tdDirection);
+
+			// Preset
+			const tdPreset = document.createElement('td');
+			tdPreset.className = 'fc-dashboard-cell-preset';
+			const presetName = entry.preset ? presetNames.get(entry.preset) : null;
+			if (presetName) {
+				tdPreset.innerHTML = `<span class="fc-dashboard-badge-preset">${esc(presetName)}</span>`;
+			} else {
+				tdPreset.textContent = 'Default';
+			}
+			tr.appendChild(tdPreset);
+
+			// Status
+			const tdStatus = document.createElement('td');
+			tdStatus.className = 'fc-dashboard-cell-status';
+			tdStatus.innerHTML = flagHTML(entry.status.flag)
+				+ (entry.changed ? '<span class="fc-dashboard-badge-changed" title="The question or answer changed since the card was last reviewed">Edited</span>' : '')
+				+ (entry.status.leech ? '<span class="fc-dashboard-badge-leech">Leech</span>' : '')
+				+ (entry.status.suspended ? '<span class="fc-dashboard-badge-suspended">Suspended</span>' : '')
+				+ (entry.status.buried ? '<span class="fc-dashboard-badge-buried">Buried</span>' : '');
+			tr.appendChild(tdStatus);
+
+			// Due
+			const tdDue = document.createElement('td');
+			tdDue.className = 'fc-dashboard-cell-due';
+			const dueDate = entry.card.due;
+			if (neverReviewed(entry)) {
+				tdDue.innerHTML = '<span class="fc-dashboard-badge-new">New</span>';
+			} else {
+				tdDue.textContent = formatDueDate(dueDate);
+				if (dueDate <= new Date()) {
+					tdDue.classList.add('fc-dashboard-due-now');
+				}
+			}
+			tr.appendChild(tdDue);
+
+			// Reviews
+			const tdReviews = document.createElement('td');
+			tdReviews.className = 'fc-dashboard-cell-reviews';
+			tdReviews.textContent = String(entry.card.reps);
+			tr.appendChild(tdReviews);
+
+			// Last Practiced
+			const tdLastPracticed = document.createElement('td');
+			tdLastPracticed.className = 'fc-dashboard-cell-last';
+			if (entry.card.last_review) {
+				tdLastPracticed.textContent = formatLastPracticed(entry.card.last_review);
+			} else {
+				tdLastPracticed.innerHTML = '<span class="fc-dashboard-badge-never">Never</span>';
+			}
+			tr.appendChild(tdLastPracticed);
+
+			// Actions — settle an edit, flag, bury, suspend, forget, untrack
+			const tdActions = document.createElement('td');
+			tdActions.className = 'fc-dashboard-cell-actions';
+			const setStatus = (/** @type {Partial<import('./lib.js').CardStatus>} */ status) => () => this._setCardStatus(entry, status);
+			const actions = [
+				...(entry.changed ? [
+					{ label: 'Keep Schedule', title: 'Keep the schedule the card had before it was edited', run: () => this._settleCardChange(entry, false) },
+					{ label: 'Reset to New', title: 'Start the edited card over as a new card', run: () => this._settleCardChange(entry, true) },
+				] : []),
+				{ label: 'Flag', title: 'Cycle flag color', run: setStatus({ flag: nextFlag(entry.status.flag) }) },
+				{ label: entry.status.buried ? 'Unbury' : 'Bury', title: 'Skip until tomorrow', run: setStatus({ buried: !entry.status.buried }) },
+				{ label: entry.status.suspended ? 'Unsuspend' : 'Suspend', title: 'Leave out of practice', run: setStatus({ suspended: !entry.status.suspended }) },
+				{ label: 'Forget', title: 'Reset to New', run: () => this._confirmResetCards([entry], 'forget', `note "${entry.recordName}"`, { onDone: refresh }) },
+				{ label: 'Untrack', title: 'Remove all flashcard data from this card', run: () => this._confirmResetCards([entry], 'untrack', `note "${entry.recordName}"`, {
+					onDone: () => {
+						allCards.splice(allCards.indexOf(entry), 1);
+						refresh();
+					},
+				}) },
+			];
+			for (const action of actions) {
+				const btn = document.createElement('button');
+				btn.className = 'fc-dashboard-row-btn';
+				btn.textContent = action.label;
+				btn.title = action.title;
+				btn.addEventListener('click', async () => {
+					await action.run();
+					tr.replaceWith(renderRow(entry));
+					updateCounts();
+				});
+				tdActions.appendChild(btn);
+			}
+			tr.appendChild(tdActions);
+
+			return tr;
+		};
+
+		// After a card is reset or untracked
+		const refresh = () => {
+			renderRows();
+			updateCounts();
+		};
+
+		const renderRows = () => {
+			const now = new Date();
+			const filter = DASHBOARD_FILTERS.find(f => f.id === view.filter) || DASHBOARD_FILTERS[0];
+			let shown = allCards.filter(e => filter.test(e)
+				&& (view.state === '' || e.card.state === Number(view.state))
+				&& (view.due === 'any' || (!neverReviewed(e) && inDueRange(e.card.due, view.due, now)))
+				&& (!view.note || e.recordGuid === view.note)
+				&& (!view.collection || (recordCollections.get(e.recordGuid) || []).includes(view.collection))
+				&& matchesSearch([e.question, e.answer, e.recordName], view.search));
+			const sortColumn = columns.find(c => c.id === view.sort);
+			if (sortColumn?.sort) shown = sortRows(shown, sortColumn.sort, view.dir);
+
+			tbody.replaceChildren(...shown.map(renderRow));
+			const filtered = ['filter', 'search', 'state', 'due', 'note', 'collection']
+				.some(key => view[/** @type {keyof DashboardView} */ (key)] !== DEFAULT_DASHBOARD_VIEW[/** @type {keyof DashboardView} */ (key)]);
+			const count = toolbar.querySelector('#fc-dashboard-filter-count');
+			if (count) count.textContent = filtered ? `${shown.length} of ${allCards.length}` : '';
+		};
+		renderRows();
+
+		toolbar.addEventListener('change', (e) => {
+			const control = /** @type {HTMLSelectElement} */ (e.target);
+			const key = control.getAttribute('data-view');
+			if (!key || key === 'search') return;
+			Object.assign(view, { [key]: control.value });
+			renderRows();
+		});
+
+		// Search as you type, once typing pauses
+		/** @type {ReturnType<typeof setTimeout> | undefined} */
+		let searchTimer;
+		toolbar.querySelector('[data-view="search"]')?.addEventListener('input', (e) => {
+			clearTimeout(searchTimer);
+			searchTimer = setTimeout(() => {
+				view.search = /** @type {HTMLInputElement} */ (e.target).value;
+				renderRows();
+			}, 150);
+		});
+
+		toolbar.querySelector('#fc-dashboard-clear')?.addEventListener('click', () => {
+			clearTimeout(searchTimer);
+			const { sort, dir } = view;
+			Object.assign(view, DEFAULT_DASHBOARD_VIEW, { sort, dir });
+			toolbar.querySelectorAll('[data-view]').forEach(control => {
+				const key = /** @type {keyof DashboardView} */ (control.getAttribute('data-view'));
+				/** @type {HTMLInputElement} */ (control).value = String(view[key]);
+			});
+			renderRows();
+		});
+
+		// Click a column header to sort by it, again to reverse
+		thead.addEventListener('click', (e) => {
+			const th = /** @type {HTMLElement} */ (e.target).closest('th[data-sort]');
+			if (!th) return;
+			const id = th.getAttribute('data-sort');
+			if (view.sort === id) {
+				view.dir = view.dir === 'asc' ? 'desc' : 'asc';
+			} else {
+				view.sort = id;
+				view.dir = 'asc';
+			}
+			renderHeader();
+			renderRows();
+		});
+
+		// Refs inside front/back cells open the referenced record
+		tbody.addEventListener('click', (e) => {
+			const ref = /** @type {HTMLElement} */ (e.target).closest('.flashcard-ref');
+			if (!ref) return;
+			e.preventDefault();
+			const guid = ref.getAttribute('data-record-guid');
+			if (guid) this._openRecordInSplit(guid, panel);
+		});
+
+		table.appendChild(tbody);
+		tableWrap.appendChild(table);
+		container.appendChild(tableWrap);
+	}
+
+	// ── Suspend, bury and flag ────────────────────────────────────────────
+
+	/**
+	 * Change a card's suspended/buried/flag status and save it.
+	 * @param {CardEntry} entry
+	 * @param {Partial<import('./lib.js').CardStatus>} status - fields to change
+	 */
+	async _setCardStatus(entry, status) {
+		await entry.lineItem.setMetaProperties(cardStatusProps(status, entry.keys));
+		entry.status = { ...entry.status, ...status };
+	}
+
+	/**
+	 * Suspend or bury the current practice card and move on without rating it.
+	 * @param {'suspended' | 'buried'} field
+	 */
+	async _setAsideCurrent(field) {
+		/** @type {CardEntry[]} */
+		const cards = this._dueCards || [];
+		const idx = this._practiceIndex || 0;
+		if (idx >= cards.length) return;
+
+		const entry = cards[idx];
+		const undo = this._undoSnapshot(entry, null);
+		await this._setCardStatus(entry, { [field]: true });
+		this._undoStack.push(undo);
+
+		this.ui.addToaster({
+			title: field === 'suspended' ? 'Card suspended' : 'Card buried until tomorrow',
+			message: 'Press U to undo.',
+			dismissible: true,
+			autoDestroyTime: 2500,
+		});
+
+		this._dueCards = cards.filter((_, i) => i !== idx);
+		this._pullDueLearning();
+		this._practiceRevealed = false;
+		this._typedAnswer = null;
+		this._cardShownAt = Date.now();
+		this._renderCurrentCard();
+	}
 
-	// ── Dashboard ─────────────────────────────────────────────────────────
+	/**
+	 * Tell the user a card has become a leech, with a link to its note so it
+	 * can be rewritten.
+	 * @param {CardEntry} entry
+	 * @param {number} lapses
+	 */
+	_notifyLeech(entry, lapses) {
+		const suspended = entry.status.suspended;
+		this.ui.addToaster({
+			title: suspended ? 'Leech suspended' : 'Leech',
+			message: `"${truncateStr(entry.question, 60)}" has been forgotten ${lapses} times.`
+				+ (suspended ? ' It is suspended until you unsuspend it.' : ' Consider rewriting it.'),
+			dismissible: true,
+			autoDestroyTime: 8000,
+			primaryLabel: 'Open note',
+			cancelLabel: 'Dismiss',
+			onPrimary: () => { this._openRecordInSplit(entry.recordGuid, this._panel); },
+		});
+	}
 
-	async openDashboard() {
+	/**
+	 * Give the current practice card the next flag color (or none).
+	 */
+	async _cycleCurrentFlag() {
+		const entry = (this._dueCards || [])[this._practiceIndex || 0];
+		if (!entry) return;
+		await this._setCardStatus(entry, { flag: nextFlag(entry.status.flag) });
+		this._renderCurrentCard();
+	}
+
+	// ── Reset and untrack ─────────────────────────────────────────────────
+
+	/**
+	 * Reset every card in the active collection, or else the active note, to
+	 * New.
+	 */
+	resetToNew() {
+		return this._resetActiveTarget('forget');
+	}
+
+	/**
+	 * Stop tracking every card in the active collection, or else the active
+	 * note.
+	 */
+	untrackCards() {
+		return this._resetActiveTarget('untrack');
+	}
+
+	/**
+	 * @param {'forget' | 'untrack'} action
+	 */
+	async _resetActiveTarget(action) {
+		const target = this._activeTarget();
+		if (!target) {
+			this.ui.addToaster({
+				title: 'No note or collection',
+				message: `Open a note or collection first, then run "Flashcards: ${action === 'forget' ? 'Reset to New' : 'Untrack'}".`,
+				dismissible: true,
+				autoDestroyTime: 4000,
+			});
+			return;
+		}
+
+		const recordGuids = target.collection
+			? (await target.collection.getAllRecords()).map(r => r.guid)
+			: [target.guid];
+		const inTarget = new Set(recordGuids);
+		const entries = (await this._collectAllCards()).filter(e => inTarget.has(e.recordGuid));
+		if (entries.length === 0) {
+			this.ui.addToaster({
+				title: 'No flashcards',
+				message: `No tracked cards in ${target.kind} "${target.name}".`,
+				dismissible: true,
+				autoDestroyTime: 4000,
+			});
+			return;
+		}
+		this._confirmResetCards(entries, action, `${target.kind} "${target.name}"`, { notes: recordGuids });
+	}
+
+	/**
+	 * Ask before resetting cards to New or untracking them, then report how
+	 * many changed. Untracking while auto-detect is on also opts the notes (or,
+	 * for single cards, their lines) out of it, or the cards would be tracked
+	 * again right away.
+	 * @param {CardEntry[]} entries
+	 * @param {'forget' | 'untrack'} action
+	 * @param {string} where - e.g. 'note "Biology"'
+	 * @param {object} [opts]
+	 * @param {string[]} [opts.notes] - record guids, when whole notes are untracked
+	 * @param {() => void} [opts.onDone] - called once the cards have changed
+	 */
+	_confirmResetCards(entries, action, where, { notes = [], onDone } = {}) {
+		const forget = action === 'forget';
+		const cards = `${entries.length} card${entries.length !== 1 ? 's' : ''}`;
+		const them = entries.length !== 1 ? 'them' : 'it';
+		this.ui.addToaster({
+			title: forget ? 'Reset to New?' : 'Untrack cards?',
+			message: forget
+				? `${cards} in ${where} will start over as new cards. Review logs, flags and suspensions are kept.`
+				: `All flashcard data of ${cards} in ${where} will be removed, review logs included. The lines stay in your notes.`,
+			dismissible: true,
+			primaryLabel: forget ? 'Reset' : 'Untrack',
+			cancelLabel: 'Cancel',
+			onPrimary: async () => {
+				const now = new Date();
+				for (const entry of entries) {
+					if (forget) {
+						await entry.lineItem.setMetaProperties({ ...forgetCardProps(entry.keys, now), ...fingerprintProps(entry) });
+						entry.card = createEmptyCard(now);
+						entry.status = { ...entry.status, leech: false };
+						entry.changed = false;
+					} else {
+						await entry.lineItem.setMetaProperties(untrackCardProps(entry.keys));
+					}
+				}
+
+				let autoDetectText = '';
+				if (!forget && this._settings.auto_detect) {
+					if (notes.length > 0) {
+						const off = new Set([...(this._custom?.auto_detect_off || []), ...notes]);
+						await this._saveCustomConfig({ auto_detect_off: [...off] });
+						autoDetectText = ` Auto-detect is turned off for ${notes.length !== 1 ? 'these notes' : 'this note'}.`;
+					} else {
+						const off = new Set([...(this._custom?.auto_detect_off_lines || []), ...entries.map(e => e.lineItem.guid)]);
+						await this._saveCustomConfig({ auto_detect_off_lines: [...off] });
+						autoDetectText = ` Auto-detect will leave ${them} alone; "Flashcards: Generate" tracks ${them} again.`;
+					}
+				}
+				this.ui.addToaster({
+					title: forget ? 'Cards reset' : 'Cards untracked',
+					message: `${forget ? 'Reset' : 'Untracked'} ${cards} in ${where}.${autoDetectText}`,
+					dismissible: true,
+					autoDestroyTime: 5000,
+				});
+				onDone?.();
+			},
+		});
+	}
+
+	// ── Edited cards ──────────────────────────────────────────────────────
+
+	/**
+	 * Settle a card whose question or answer changed since its last review:
+	 * keep its schedule, or start it over as a new card (no longer a leech).
+	 * Either way, later edits are compared against its current content.
+	 * @param {CardEntry} entry
+	 * @param {boolean} reset - start over as a new card
+	 */
+	async _settleCardChange(entry, reset) {
+		const now = new Date();
+		await entry.lineItem.setMetaProperties({
+			...(reset ? forgetCardProps(entry.keys, now) : {}),
+			...fingerprintProps(entry),
+		});
+		if (reset) {
+			entry.card = createEmptyCard(now);
+			entry.status = { ...entry.status, leech: false };
+		}
+		entry.changed = false;
+	}
+
+	// ── Integrity check ───────────────────────────────────────────────────
+
+	checkIntegrity() {
 		const panel = this.ui.getActivePanel();
 		if (panel) {
-			panel.navigateToCustomType(DASHBOARD_PANEL_ID);
+			panel.navigateToCustomType(INTEGRITY_PANEL_ID);
 		}
 	}
 
 	/**
-	 * Collect all generated flashcard line items (not just due ones).
-	 * Only includes cards that have been initialized via "Flashcards: Generate".
-	 * @returns {Promise<Array<{ lineItem: PluginLineItem, card: import('ts-fsrs').Card, question: string, answer: string, recordName: string, recordGuid: string, ancestors: string[] }>>}
+	 * Read every line that holds flashcards or card meta. Unlike the card
+	 * index this includes lines that are no longer cards, so it always scans
+	 * the whole workspace.
+	 * @returns {Promise<CheckedLine[]>}
 	 */
-	async _collectAllCards() {
-		const allRecords = this.data.getAllRecords();
-		const allCards = [];
-
-		for (const record of allRecords) {
+	async _collectCheckedLines() {
+		/** @type {CheckedLine[]} */
+		const lines = [];
+		for (const record of this.data.getAllRecords()) {
+			/** @type {PluginLineItem[]} */
 			let lineItems;
 			try {
 				lineItems = await record.getLineItems();
@@ -366,32 +2733,48 @@ export class Plugin extends AppPlugin {
 			for (const li of lineItems) byGuid.set(li.guid, li);
 
 			for (const li of lineItems) {
-				if (isNestedUnderSeparator(li, byGuid)) continue;
-				const fc = parseFlashcard(li);
-				if (!fc) continue;
-				if (!hasCardMeta(li)) continue;
-
-				const card = metaToCard(li);
-				allCards.push({
-					lineItem: li,
-					card,
-					question: fc.question,
-					answer: fc.answer,
-					answerLines: fc.answerLines,
-					recordName: record.getName(),
-					recordGuid: record.guid,
-					ancestors: buildAncestorBreadcrumb(li, lineItems),
-				});
+				const cards = isNestedUnderSeparator(li, byGuid) ? [] : parseCards(li);
+				const hasMeta = Object.keys(li.props || {}).some(key => key.startsWith(META_PREFIX));
+				if (cards.length > 0 || hasMeta) lines.push({ lineItem: li, record, cards });
 			}
 		}
+		return lines;
+	}
 
-		return allCards;
+	/**
+	 * Apply the fix for one integrity issue:
+	 * - copied schedule: start the copy over as a new card
+	 * - duplicate question: suspend the copy
+	 * - leftover meta: remove it
+	 * - unreadable schedule: replay the review log, or else start over
+	 * @param {import('./lib.js').IntegrityIssue<CheckedLine>} issue
+	 * @param {Map<string, string>} presetIndex - from _loadPresetIndex
+	 */
+	async _fixIntegrityIssue(issue, presetIndex) {
+		const { lineItem, record, cards } = issue.line;
+		const keys = metaKeys(issue.variant);
+		const fc = cards.find(c => c.variant === issue.variant);
+		const cleared = untrackCardProps(keys);
+
+		if (issue.kind === 'orphan') {
+			await lineItem.setMetaProperties(cleared);
+		} else if (issue.kind === 'copied' && fc) {
+			// Drop the copied log and status too — they belong to the original
+			await lineItem.setMetaProperties({ ...cleared, ...cardToMetaProps(createEmptyCard(new Date()), keys), ...fingerprintProps(fc) });
+		} else if (issue.kind === 'duplicate') {
+			await lineItem.setMetaProperties(cardStatusProps({ suspended: true }, keys));
+		} else {
+			const scheduler = this._schedulerFor({ preset: presetIndex.get(record.guid) || null });
+			const card = replayReviewLog(scheduler, readReviewLog(lineItem, keys)) || createEmptyCard(new Date());
+			await cardToMeta(lineItem, card, keys);
+		}
+		this._invalidateRecord(record.guid);
 	}
 
 	/**
 	 * @param {PluginPanel} panel
 	 */
-	async _renderDashboardPanel(panel) {
+	async _renderIntegrityPanel(panel) {
 		const el = panel.getElement();
 		if (!el) return;
 
@@ -400,164 +2783,488 @@ export class Plugin extends AppPlugin {
 		container.className = 'fc-dashboard-container';
 		el.appendChild(container);
 
-		// Loading state
 		container.innerHTML = `
 			<div class="fc-dashboard-header">
 				<div class="fc-dashboard-header-left">
-					<div class="fc-dashboard-title">Flashcards Dashboard</div>
+					<div class="fc-dashboard-title">Flashcard Integrity</div>
 				</div>
 			</div>
-			<div class="fc-dashboard-loading">Loading flashcards…</div>
+			<div class="fc-dashboard-loading">Checking flashcards…</div>
 		`;
 
-		const allCards = await this._collectAllCards();
-
-		container.innerHTML = '';
-
-		// Count due today
-		const now = new Date();
-		const dueCount = allCards.filter(e => e.card.due <= now).length;
+		const lines = await this._collectCheckedLines();
+		const issues = findIntegrityIssues(lines);
+		const presetIndex = await this._loadPresetIndex();
+		const fixLabels = { copied: 'Reset Copy', duplicate: 'Suspend Copy', orphan: 'Remove Meta', malformed: 'Repair' };
+		const kindLabels = { copied: 'Copied schedule', duplicate: 'Duplicate', orphan: 'Leftover meta', malformed: 'Unreadable' };
 
-		// Header
-		const header = document.createElement('div');
-		header.className = 'fc-dashboard-header';
-		header.innerHTML = `
-			<div class="fc-dashboard-header-left">
-				<div class="fc-dashboard-title">Flashcards Dashboard</div>
-				<div class="fc-dashboard-subtitle">Total flashcards: ${allCards.length}</div>
-			</div>
-			<div class="fc-dashboard-header-actions">
-				<button class="fc-dashboard-scan-btn" id="fc-dashboard-scan-btn">Scan for New Cards</button>
-				<button class="fc-dashboard-practice-btn" id="fc-dashboard-practice-btn">Practice Today's Cards (${dueCount})</button>
+		container.innerHTML = `
+			<div class="fc-dashboard-header">
+				<div class="fc-dashboard-header-left">
+					<div class="fc-dashboard-title">Flashcard Integrity</div>
+					<div class="fc-dashboard-subtitle">${issues.length
+						? `${issues.length} problem${issues.length !== 1 ? 's' : ''} in ${lines.length} flashcard lines`
+						: `No problems in ${lines.length} flashcard lines`}</div>
+				</div>
+				<div class="fc-dashboard-header-actions">
+					<button class="fc-dashboard-scan-btn" id="fc-integrity-recheck">Check Again</button>
+					${issues.length ? '<button class="fc-dashboard-practice-btn" id="fc-integrity-fix-all">Fix All</button>' : ''}
+				</div>
 			</div>
 		`;
-		container.appendChild(header);
 
-		// Scan button click handler — generate then re-render dashboard
-		header.querySelector('#fc-dashboard-scan-btn')?.addEventListener('click', async () => {
-			await this.generateFlashcards();
-			this._renderDashboardPanel(panel);
+		container.querySelector('#fc-integrity-recheck')?.addEventListener('click', () => {
+			this._renderIntegrityPanel(panel);
 		});
-
-		// Practice button click handler
-		header.querySelector('#fc-dashboard-practice-btn')?.addEventListener('click', () => {
-			this._startPracticeSession();
+		// Issues fixed one by one aren't fixed again by Fix All
+		const fixed = new Set();
+		container.querySelector('#fc-integrity-fix-all')?.addEventListener('click', async () => {
+			const remaining = issues.filter(issue => !fixed.has(issue));
+			for (const issue of remaining) {
+				await this._fixIntegrityIssue(issue, presetIndex);
+			}
+			this.ui.addToaster({
+				title: 'Flashcards repaired',
+				message: `Fixed ${remaining.length} problem${remaining.length !== 1 ? 's' : ''}.`,
+				dismissible: true,
+				autoDestroyTime: 4000,
+			});
+			this._renderIntegrityPanel(panel);
 		});
 
-		if (allCards.length === 0) {
-			container.innerHTML += `
-				<div class="flashcard-empty">
-					<div class="flashcard-empty-emoji">📭</div>
-					<div class="flashcard-empty-title">No flashcards found</div>
-					<div class="flashcard-empty-subtitle">
-						Use <strong>Flashcards: Generate</strong> to scan your notes,<br>
-						or write cards with the <code>${esc(SEPARATOR)}</code> syntax:<br>
-						<code>Question ${esc(SEPARATOR)} Answer</code>
-					</div>
-				</div>
-			`;
-			return;
-		}
+		if (issues.length === 0) return;
 
-		// Table
 		const tableWrap = document.createElement('div');
 		tableWrap.className = 'fc-dashboard-table-wrap';
-
 		const table = document.createElement('table');
 		table.className = 'fc-dashboard-table';
 		table.innerHTML = `
 			<thead>
 				<tr>
-					<th class="fc-dashboard-cell-note">Parent Note</th>
-					<th class="fc-dashboard-cell-front">Front</th>
-					<th class="fc-dashboard-cell-back">Back</th>
-					<th class="fc-dashboard-cell-due">Due</th>
-					<th class="fc-dashboard-cell-reviews">Reviews</th>
-					<th class="fc-dashboard-cell-last">Last Practiced</th>
+					<th class="fc-dashboard-cell-note">Note</th>
+					<th class="fc-dashboard-cell-front">Line</th>
+					<th class="fc-dashboard-cell-status">Problem</th>
+					<th class="fc-dashboard-cell-back">Details</th>
+					<th class="fc-dashboard-cell-actions"></th>
 				</tr>
 			</thead>
 		`;
 
 		const tbody = document.createElement('tbody');
-
-		for (const entry of allCards) {
+		for (const issue of issues) {
+			const { lineItem, record } = issue.line;
 			const tr = document.createElement('tr');
-
-			// Parent Note (clickable)
-			const tdNote = document.createElement('td');
-			tdNote.className = 'fc-dashboard-cell-note';
-			const noteLink = document.createElement('a');
-			noteLink.className = 'fc-dashboard-note-link';
-			noteLink.textContent = entry.recordName;
-			noteLink.href = '#';
-			noteLink.addEventListener('click', async (e) => {
+			const media = lineItemMedia(lineItem);
+			const original = issue.original
+				? ` (first in "${esc(issue.original.record.getName())}": ${esc(truncateStr(segmentsToText(issue.original.lineItem.segments), 40))})`
+				: '';
+			tr.innerHTML = `
+				<td class="fc-dashboard-cell-note"><a class="fc-dashboard-note-link" href="#">${esc(record.getName())}</a></td>
+				<td class="fc-dashboard-cell-front">${esc(segmentsToText(lineItem.segments) || (media ? mediaLabel(media) : ''))}</td>
+				<td class="fc-dashboard-cell-status"><span class="fc-integrity-badge fc-integrity-badge--${issue.kind}">${kindLabels[issue.kind]}</span></td>
+				<td class="fc-dashboard-cell-back">${esc(issue.detail)}${original}</td>
+				<td class="fc-dashboard-cell-actions"><button class="fc-dashboard-row-btn">${fixLabels[issue.kind]}</button></td>
+			`;
+			tr.querySelector('.fc-dashboard-note-link')?.addEventListener('click', (e) => {
 				e.preventDefault();
-				const wsGuid = this.getWorkspaceGuid();
-				const newPanel = await this.ui.createPanel({ afterPanel: panel });
-				if (newPanel) {
-					setTimeout(() => {
-						newPanel.navigateTo({
-							type: 'edit_panel',
-							rootId: entry.recordGuid,
-							subId: null,
-							workspaceGuid: wsGuid,
-						});
-					}, 0);
-				}
+				this._openRecordInSplit(record.guid, panel);
 			});
-			tdNote.appendChild(noteLink);
-			tr.appendChild(tdNote);
+			const btn = /** @type {HTMLButtonElement} */ (tr.querySelector('.fc-dashboard-row-btn'));
+			btn.addEventListener('click', async () => {
+				btn.disabled = true;
+				await this._fixIntegrityIssue(issue, presetIndex);
+				fixed.add(issue);
+				btn.textContent = 'Fixed';
+			});
+			tbody.appendChild(tr);
+		}
 
-			// Front
-			const tdFront = document.createElement('td');
-			tdFront.className = 'fc-dashboard-cell-front';
-			tdFront.textContent = entry.question;
-			tr.appendChild(tdFront);
+		table.appendChild(tbody);
+		tableWrap.appendChild(table);
+		container.appendChild(tableWrap);
+	}
 
-			// Back
-			const tdBack = document.createElement('td');
-			tdBack.className = 'fc-dashboard-cell-back';
-			tdBack.textContent = entry.answerLines && entry.answerLines.length > 1
-				? entry.answerLines[0].text + ' …'
-				: entry.answer;
-			tr.appendChild(tdBack);
+	// ── Image occlusion ───────────────────────────────────────────────────
 
-			// Due
-			const tdDue = document.createElement('td');
-			tdDue.className = 'fc-dashboard-cell-due';
-			const dueDate = entry.card.due;
-			if (entry.card.state === 0 && entry.card.reps === 0) {
-				tdDue.innerHTML = '<span class="fc-dashboard-badge-new">New</span>';
-			} else {
-				tdDue.textContent = formatDueDate(dueDate);
-				if (dueDate <= new Date()) {
-					tdDue.classList.add('fc-dashboard-due-now');
+	/**
+	 * Open the occlusion editor for an image in the active note. With several
+	 * images, the user picks one from a dropdown.
+	 */
+	async editImageOcclusion() {
+		const panel = this.ui.getActivePanel();
+		if (!panel) return;
+
+		const record = panel.getActiveRecord();
+		if (!record) {
+			this.ui.addToaster({
+				title: 'No active note',
+				message: 'Open a note with an image first, then run "Flashcards: Image Occlusion".',
+				dismissible: true,
+				autoDestroyTime: 4000,
+			});
+			return;
+		}
+
+		const lineItems = await record.getLineItems();
+		const images = lineItems.filter(li => li.type === 'image');
+		if (images.length === 0) {
+			this.ui.addToaster({
+				title: 'No images found',
+				message: `"${record.getName()}" has no images to occlude.`,
+				dismissible: true,
+				autoDestroyTime: 4000,
+			});
+			return;
+		}
+
+		const open = (/** @type {PluginLineItem} */ li) => {
+			this._occlusionTarget = { recordGuid: record.guid, lineItemGuid: li.guid };
+			panel.navigateToCustomType(OCCLUSION_PANEL_ID);
+		};
+
+		if (images.length === 1) {
+			open(images[0]);
+			return;
+		}
+
+		this._showPicker(
+			images.map((li, i) => {
+				const media = lineItemMedia(li);
+				return {
+					label: (media && media.name) || `Image ${i + 1}`,
+					onSelected: () => open(li),
+				};
+			}),
+			'Pick an image…',
+		);
+	}
+
+	/**
+	 * Render the occlusion editor: drag on the image to add a region, label or
+	 * delete regions in the list below, then save. Each region becomes a card
+	 * whose FSRS meta lives on the image line item under its own variant keys.
+	 * @param {PluginPanel} panel
+	 */
+	async _renderOcclusionPanel(panel) {
+		const el = panel.getElement();
+		if (!el) return;
+
+		el.innerHTML = '';
+		const container = document.createElement('div');
+		container.className = 'fc-occlusion-container';
+		el.appendChild(container);
+
+		const target = this._occlusionTarget;
+		const record = target ? this.data.getRecord(target.recordGuid) : null;
+		const lineItems = record ? await record.getLineItems() : [];
+		const li = target ? lineItems.find(l => l.guid === target.lineItemGuid) : null;
+		const media = li ? lineItemMedia(li) : null;
+		const url = media ? safeMediaUrl(media.url) : null;
+
+		if (!record || !li || !media || !url) {
+			container.innerHTML = `
+				<div class="flashcard-empty">
+					<div class="flashcard-empty-emoji">🖼️</div>
+					<div class="flashcard-empty-title">No image to edit</div>
+					<div class="flashcard-empty-subtitle">
+						Open a note with an image and run <strong>Flashcards: Image Occlusion</strong>.
+					</div>
+				</div>
+			`;
+			return;
+		}
+
+		const saved = parseOcclusions(li);
+		const savedIds = new Set(saved.rects.map(r => r.id));
+		let mode = saved.mode;
+		/** @type {import('./lib.js').OcclusionRect[]} */
+		let rects = saved.rects.map(r => ({ ...r }));
+		let nextId = rects.reduce((max, r) => Math.max(max, r.id), 0) + 1;
+
+		container.innerHTML = `
+			<div class="fc-dashboard-header">
+				<div class="fc-dashboard-header-left">
+					<div class="fc-dashboard-title">Image Occlusion</div>
+					<div class="fc-dashboard-subtitle">${esc(record.getName())} — drag on the image to add a region</div>
+				</div>
+				<div class="fc-dashboard-header-actions">
+					<select class="fc-occlusion-mode" id="fc-occlusion-mode">
+						<option value="one">Hide one, guess one</option>
+						<option value="all">Hide all, guess one</option>
+					</select>
+					<button class="fc-dashboard-scan-btn" id="fc-occlusion-cancel">Cancel</button>
+					<button class="fc-dashboard-practice-btn" id="fc-occlusion-save">Save</button>
+				</div>
+			</div>
+			<div class="fc-occlusion-stage" id="fc-occlusion-stage">
+				<img class="fc-occlusion-image" src="${url}" alt="${esc(media.name)}" draggable="false">
+			</div>
+			<div class="fc-occlusion-list" id="fc-occlusion-list"></div>
+		`;
+
+		const stage = /** @type {HTMLElement} */ (container.querySelector('#fc-occlusion-stage'));
+		const list = /** @type {HTMLElement} */ (container.querySelector('#fc-occlusion-list'));
+		const modeSelect = /** @type {HTMLSelectElement} */ (container.querySelector('#fc-occlusion-mode'));
+		modeSelect.value = mode;
+		modeSelect.addEventListener('change', () => {
+			mode = modeSelect.value === 'all' ? 'all' : 'one';
+		});
+
+		const renderRects = () => {
+			stage.querySelectorAll('.fc-occlusion-rect').forEach(r => r.remove());
+			for (const rect of rects) {
+				const box = document.createElement('div');
+				box.className = 'fc-occlusion-rect';
+				box.style.left = `${rect.x * 100}%`;
+				box.style.top = `${rect.y * 100}%`;
+				box.style.width = `${rect.w * 100}%`;
+				box.style.height = `${rect.h * 100}%`;
+				box.textContent = String(rect.id);
+				stage.appendChild(box);
+			}
+
+			list.innerHTML = rects.length === 0
+				? '<div class="fc-dashboard-loading">No regions yet.</div>'
+				: '';
+			for (const rect of rects) {
+				const row = document.createElement('div');
+				row.className = 'fc-occlusion-row';
+				row.innerHTML = `
+					<span class="fc-occlusion-row-id">${rect.id}</span>
+					<input class="fc-occlusion-label" type="text" placeholder="Region ${rect.id}" value="${esc(rect.label || '')}">
+					<button class="fc-dashboard-scan-btn" title="Delete region">Delete</button>
+				`;
+				row.querySelector('input')?.addEventListener('input', (e) => {
+					const value = /** @type {HTMLInputElement} */ (e.target).value.trim();
+					if (value) rect.label = value;
+					else delete rect.label;
+				});
+				row.querySelector('button')?.addEventListener('click', () => {
+					rects = rects.filter(r => r !== rect);
+					renderRects();
+				});
+				list.appendChild(row);
+			}
+		};
+
+		// Drawing — geometry is stored as fractions of the rendered image
+		stage.addEventListener('mousedown', (e) => {
+			if (e.button !== 0) return;
+			e.preventDefault();
+			const bounds = stage.getBoundingClientRect();
+			const toFrac = (/** @type {MouseEvent} */ ev) => ({
+				x: Math.min(1, Math.max(0, (ev.clientX - bounds.left) / bounds.width)),
+				y: Math.min(1, Math.max(0, (ev.clientY - bounds.top) / bounds.height)),
+			});
+			const start = toFrac(e);
+			const draft = document.createElement('div');
+			draft.className = 'fc-occlusion-rect fc-occlusion-rect--draft';
+			stage.appendChild(draft);
+
+			let current = start;
+			const box = () => ({
+				x: Math.min(start.x, current.x),
+				y: Math.min(start.y, current.y),
+				w: Math.abs(current.x - start.x),
+				h: Math.abs(current.y - start.y),
+			});
+			const onMove = (/** @type {MouseEvent} */ ev) => {
+				current = toFrac(ev);
+				const b = box();
+				draft.style.left = `${b.x * 100}%`;
+				draft.style.top = `${b.y * 100}%`;
+				draft.style.width = `${b.w * 100}%`;
+				draft.style.height = `${b.h * 100}%`;
+			};
+			const onUp = () => {
+				document.removeEventListener('mousemove', onMove);
+				document.removeEventListener('mouseup', onUp);
+				draft.remove();
+				const b = box();
+				// Ignore accidental clicks
+				if (b.w > 0.01 && b.h > 0.01) {
+					rects.push({ id: nextId++, ...b });
+				}
+				renderRects();
+			};
+			document.addEventListener('mousemove', onMove);
+			document.addEventListener('mouseup', onUp);
+		});
+
+		container.querySelector('#fc-occlusion-cancel')?.addEventListener('click', () => {
+			this._openRecordInPanel(record.guid, panel);
+		});
+
+		container.querySelector('#fc-occlusion-save')?.addEventListener('click', async () => {
+			/** @type {Record<string, any>} */
+			const props = {
+				[OCCLUSION_META.rects]: JSON.stringify(rects),
+				[OCCLUSION_META.mode]: mode,
+			};
+
+			// New regions start as New cards; removed regions drop their meta
+			const currentIds = new Set(rects.map(r => r.id));
+			for (const rect of rects) {
+				if (!savedIds.has(rect.id)) {
+					Object.assign(props, cardToMetaProps(createEmptyCard(new Date()), metaKeys(occlusionVariant(rect.id))));
+				}
+			}
+			for (const id of savedIds) {
+				if (!currentIds.has(id)) Object.assign(props, untrackCardProps(metaKeys(occlusionVariant(id))));
+			}
+
+			await li.setMetaProperties(props);
+			this._invalidateRecord(record.guid);
+
+			this.ui.addToaster({
+				title: 'Image occlusion saved',
+				message: `${rects.length} region${rects.length !== 1 ? 's' : ''} on "${media.name || 'image'}".`,
+				dismissible: true,
+				autoDestroyTime: 4000,
+			});
+			this._openRecordInPanel(record.guid, panel);
+		});
+
+		renderRects();
+	}
+
+	// ── Rendering helpers ─────────────────────────────────────────────────
+
+	/**
+	 * Render line item segments as HTML, preserving inline formatting.
+	 * Refs become links carrying `data-record-guid` so callers can open the
+	 * referenced record; all text goes through `esc`.
+	 * @param {PluginLineItemSegment[]} segments
+	 * @returns {string}
+	 */
+	_segmentsToHTML(segments) {
+		return segments.map(seg => {
+			const text = seg.text || '';
+			switch (seg.type) {
+				case 'bold':
+					return `<strong>${esc(text)}</strong>`;
+				case 'italic':
+					return `<em>${esc(text)}</em>`;
+				case 'code':
+					return `<code class="flashcard-code">${esc(text)}</code>`;
+				case 'link':
+					// Only allow safe URL schemes as hrefs
+					if (!/^(https?:|mailto:)/i.test(text)) return esc(text);
+					return `<a class="flashcard-link" href="${esc(text)}" target="_blank" rel="noopener noreferrer">${esc(text)}</a>`;
+				case 'ref': {
+					const record = this.data.getRecord(text);
+					const name = record ? record.getName() : text;
+					return `<a class="flashcard-ref" href="#" data-record-guid="${esc(text)}">${esc(name)}</a>`;
 				}
+				case 'mention': {
+					const user = this.data.getActiveUsers().find(u => u.guid === text);
+					return `<span class="flashcard-mention">@${esc(user ? user.getDisplayName() : text)}</span>`;
+				}
+				case 'hashtag':
+					return `<span class="flashcard-hashtag">${esc(text.startsWith('#') ? text : '#' + text)}</span>`;
+				case 'datetime':
+					return `<span class="flashcard-datetime">${esc(formatSegmentDate(text))}</span>`;
+				default:
+					return esc(text);
 			}
-			tr.appendChild(tdDue);
+		}).join('');
+	}
 
-			// Reviews
-			const tdReviews = document.createElement('td');
-			tdReviews.className = 'fc-dashboard-cell-reviews';
-			tdReviews.textContent = String(entry.card.reps);
-			tr.appendChild(tdReviews);
+	/**
+	 * Open a record in a new split panel next to the given panel.
+	 * @param {string} recordGuid
+	 * @param {PluginPanel | null} afterPanel
+	 */
+	async _openRecordInSplit(recordGuid, afterPanel) {
+		const wsGuid = this.getWorkspaceGuid();
+		const newPanel = await this.ui.createPanel(afterPanel ? { afterPanel } : undefined);
+		if (newPanel) {
+			setTimeout(() => {
+				newPanel.navigateTo({
+					type: 'edit_panel',
+					rootId: recordGuid,
+					subId: null,
+					workspaceGuid: wsGuid,
+				});
+			}, 0);
+		}
+	}
 
-			// Last Practiced
-			const tdLastPracticed = document.createElement('td');
-			tdLastPracticed.className = 'fc-dashboard-cell-last';
-			if (entry.card.last_review) {
-				tdLastPracticed.textContent = formatLastPracticed(entry.card.last_review);
-			} else {
-				tdLastPracticed.innerHTML = '<span class="fc-dashboard-badge-never">Never</span>';
+	/**
+	 * Navigate a panel back to a record.
+	 * @param {string} recordGuid
+	 * @param {PluginPanel} panel
+	 */
+	_openRecordInPanel(recordGuid, panel) {
+		panel.navigateTo({
+			type: 'edit_panel',
+			rootId: recordGuid,
+			subId: null,
+			workspaceGuid: this.getWorkspaceGuid(),
+		});
+	}
+
+	/**
+	 * Show a searchable dropdown centred on screen. Each option's
+	 * `onSelected` runs after the dropdown anchor has been cleaned up.
+	 * @param {PluginDropdownOption[]} choices
+	 * @param {string} inputPlaceholder
+	 */
+	_showPicker(choices, inputPlaceholder) {
+		// Invisible anchor element positioned at screen centre for the dropdown
+		const dummyBtn = document.createElement('button');
+		dummyBtn.style.position = 'fixed';
+		dummyBtn.style.left = '50%';
+		dummyBtn.style.top = '50%';
+		dummyBtn.style.transform = 'translate(-50%, -50%)';
+		dummyBtn.style.width = '0';
+		dummyBtn.style.height = '0';
+		dummyBtn.style.opacity = '0';
+		dummyBtn.style.pointerEvents = 'none';
+		document.body.appendChild(dummyBtn);
+
+		// Outside-click handler (declared as let so cleanup can reference it)
+		let onOutsideClick = null;
+		let dropdown = null;
+
+		// Helper to tear down the anchor button and listener
+		const cleanupAnchor = () => {
+			if (dummyBtn.parentNode) dummyBtn.remove();
+			if (onOutsideClick) {
+				document.removeEventListener('mousedown', onOutsideClick, true);
 			}
-			tr.appendChild(tdLastPracticed);
+		};
 
-			tbody.appendChild(tr);
-		}
+		// Build dropdown options — each cleans up the anchor after selecting
+		const options = choices.map(c => ({
+			...c,
+			onSelected: () => {
+				cleanupAnchor();
+				if (c.onSelected) c.onSelected();
+			},
+		}));
 
-		table.appendChild(tbody);
-		tableWrap.appendChild(table);
-		container.appendChild(tableWrap);
+		dropdown = this.ui.createDropdown({
+			attachedTo: dummyBtn,
+			options,
+			inputPlaceholder,
+			width: 320,
+		});
+
+		// If the user clicks outside the dropdown, tear everything down
+		onOutsideClick = (e) => {
+			// Give the dropdown a frame to handle its own click
+			requestAnimationFrame(() => {
+				// If the anchor is already gone an onSelected handler fired
+				if (!dummyBtn.parentNode) return;
+				cleanupAnchor();
+				dropdown.destroy();
+			});
+		};
+		// Delay attaching so the current click doesn't immediately dismiss
+		requestAnimationFrame(() => {
+			document.addEventListener('mousedown', onOutsideClick, true);
+		});
 	}
 
 	// ── Practice flashcards ───────────────────────────────────────────────
@@ -567,16 +3274,25 @@ export class Plugin extends AppPlugin {
 	 * @param {object} [opts]
 	 * @param {Set<string>} [opts.recordGuids] - if provided, only practice cards from these records
 	 * @param {string} [opts.title] - custom panel title
+	 * @param {CramOptions} [opts.cram] - cram these cards instead of the due ones
 	 */
-	async _startPracticeSession({ recordGuids, title } = {}) {
-		const due = await this._collectDueCards({ recordGuids });
+	async _startPracticeSession({ recordGuids, title, cram } = {}) {
+		const { cards, heldNew, heldReviews } = cram
+			? await this._collectCramCards(cram, { recordGuids })
+			: await this._collectDueCards({ recordGuids });
 
-		this._dueCards = due;
+		this._dueCards = cards;
+		this._learningQueue = /** @type {CardEntry[]} */ ([]);
+		this._undoStack = [];
+		this._practiceHeld = { new: heldNew, reviews: heldReviews };
 		this._practiceIndex = 0;
 		this._practiceRevealed = false;
+		this._typedAnswer = null;
+		this._cardShownAt = Date.now();
 		this._practiceStats = { again: 0, hard: 0, good: 0, easy: 0 };
 		this._practiceTitle = title || 'Practice Flashcards';
 		this._practiceRecordGuids = recordGuids || null;
+		this._cram = cram || null;
 
 		// Navigate current panel to practice UI
 		const panel = this.ui.getActivePanel();
@@ -633,60 +3349,13 @@ export class Plugin extends AppPlugin {
 				return;
 			}
 
-			// Invisible anchor element positioned at screen centre for the dropdown
-			const dummyBtn = document.createElement('button');
-			dummyBtn.style.position = 'fixed';
-			dummyBtn.style.left = '50%';
-			dummyBtn.style.top = '50%';
-			dummyBtn.style.transform = 'translate(-50%, -50%)';
-			dummyBtn.style.width = '0';
-			dummyBtn.style.height = '0';
-			dummyBtn.style.opacity = '0';
-			dummyBtn.style.pointerEvents = 'none';
-			document.body.appendChild(dummyBtn);
-
-			// Outside-click handler (declared as let so cleanup can reference it)
-			let onOutsideClick = null;
-			let dropdown = null;
-
-			// Helper to tear down the anchor button and listener
-			const cleanupAnchor = () => {
-				if (dummyBtn.parentNode) dummyBtn.remove();
-				if (onOutsideClick) {
-					document.removeEventListener('mousedown', onOutsideClick, true);
-				}
-			};
-
-			// Build dropdown options — each cleans up the anchor after selecting
-			const options = allCollections.map(c => ({
-				label: c.getName(),
-				onSelected: () => {
-					cleanupAnchor();
-					this._practiceCollectionByRef(c);
-				},
-			}));
-
-			dropdown = this.ui.createDropdown({
-				attachedTo: dummyBtn,
-				options,
-				inputPlaceholder: 'Pick a collection…',
-				width: 320,
-			});
-
-			// If the user clicks outside the dropdown, tear everything down
-			onOutsideClick = (e) => {
-				// Give the dropdown a frame to handle its own click
-				requestAnimationFrame(() => {
-					// If the anchor is already gone an onSelected handler fired
-					if (!dummyBtn.parentNode) return;
-					cleanupAnchor();
-					dropdown.destroy();
-				});
-			};
-			// Delay attaching so the current click doesn't immediately dismiss
-			requestAnimationFrame(() => {
-				document.addEventListener('mousedown', onOutsideClick, true);
-			});
+			this._showPicker(
+				allCollections.map(c => ({
+					label: c.getName(),
+					onSelected: () => this._practiceCollectionByRef(c),
+				})),
+				'Pick a collection…',
+			);
 
 			return;
 		}
@@ -716,55 +3385,139 @@ export class Plugin extends AppPlugin {
 	}
 
 	/**
-	 * Collect flashcard line items that are due for review.
+	 * Collect flashcard line items that are due for review, within today's limits.
 	 * @param {object} [opts]
 	 * @param {Set<string>} [opts.recordGuids] - if provided, only include cards from these records
-	 * @returns {Promise<Array<{ lineItem: PluginLineItem, card: import('ts-fsrs').Card, question: string, answer: string, recordName: string, recordGuid: string, ancestors: string[] }>>}
+	 * @returns {Promise<{ cards: CardEntry[], heldNew: number, heldReviews: number }>}
 	 */
 	async _collectDueCards({ recordGuids } = {}) {
 		const now = new Date();
-		const allRecords = this.data.getAllRecords();
-		const dueCards = [];
 
-		for (const record of allRecords) {
-			// Skip records not in the filter set (if provided)
-			if (recordGuids && !recordGuids.has(record.guid)) continue;
+		// Today's limits count cards studied anywhere, so every tracked card is loaded
+		const allCards = await this._collectAllCards();
+		this._dueLoad = countDueByDay(allCards);
+		const due = allCards.filter(e => (!recordGuids || recordGuids.has(e.recordGuid)) && e.card.due <= now && inRotation(e));
 
-			let lineItems;
-			try {
-				lineItems = await record.getLineItems();
-			} catch {
-				continue;
-			}
+		// Oldest due first decides which cards make today's limits, then the session is ordered
+		due.sort((a, b) => a.card.due.getTime() - b.card.due.getTime());
+		const today = this._applyDailyLimits(allCards, due);
+		return { ...today, cards: this._orderSession(today.cards) };
+	}
 
-			const byGuid = new Map();
-			for (const li of lineItems) byGuid.set(li.guid, li);
+	/**
+	 * Put a session's cards, given oldest due first, in the order chosen in
+	 * the settings.
+	 * @param {CardEntry[]} cards
+	 * @returns {CardEntry[]}
+	 */
+	_orderSession(cards) {
+		const now = new Date();
+		return orderSession(cards, this._settings, e => this._schedulerFor(e).get_retrievability(e.card, now, false));
+	}
 
-			for (const li of lineItems) {
-				if (isNestedUnderSeparator(li, byGuid)) continue;
-				const fc = parseFlashcard(li);
-				if (!fc) continue;
-				if (!hasCardMeta(li)) continue;
-
-				const card = metaToCard(li);
-				if (card.due <= now) {
-					dueCards.push({
-						lineItem: li,
-						card,
-						question: fc.question,
-						answer: fc.answer,
-						answerLines: fc.answerLines,
-						recordName: record.getName(),
-						recordGuid: record.guid,
-						ancestors: buildAncestorBreadcrumb(li, lineItems),
-					});
-				}
-			}
+	// ── Cram ──────────────────────────────────────────────────────────────
+
+	/**
+	 * Pick cards to cram regardless of due date — by note, collection, tag,
+	 * state or recent failures — then how their schedules should be treated.
+	 */
+	async cram() {
+		const panel = this.ui.getActivePanel();
+		if (!panel) return;
+
+		const allCards = (await this._collectAllCards()).filter(inRotation);
+		if (allCards.length === 0) {
+			this.ui.addToaster({
+				title: 'No flashcards found',
+				message: 'Run "Flashcards: Generate" to scan your notes for cards first.',
+				dismissible: true,
+				autoDestroyTime: 4000,
+			});
+			return;
+		}
+
+		const now = new Date();
+		const record = panel.getActiveRecord();
+		const collection = panel.getActiveCollection();
+		/** @type {{ label: string, onSelected: () => void }[]} */
+		const choices = [];
+		const choose = (/** @type {string} */ label, /** @type {(entry: CardEntry) => boolean} */ test) => {
+			choices.push({ label, onSelected: () => this._pickCramMode(label, test, allCards) });
+		};
+
+		if (record) choose(`This note: ${record.getName()}`, e => e.recordGuid === record.guid);
+		const collections = await this.data.getAllCollections();
+		collections.sort((a, b) => Number(b.guid === collection?.guid) - Number(a.guid === collection?.guid));
+		for (const c of collections) {
+			const label = c.guid === collection?.guid ? `This collection: ${c.getName()}` : `Collection: ${c.getName()}`;
+			choices.push({
+				label,
+				onSelected: async () => {
+					const guids = new Set((await c.getAllRecords()).map(r => r.guid));
+					this._pickCramMode(label, e => guids.has(e.recordGuid), allCards);
+				},
+			});
+		}
+		const tags = [...new Set(allCards.flatMap(e => lineItemTags(e.lineItem)))].sort();
+		for (const tag of tags) {
+			choose(`Tag: #${tag}`, e => lineItemTags(e.lineItem).includes(tag));
+		}
+		['New', 'Learning', 'Review', 'Relearning'].forEach((name, state) => {
+			choose(`State: ${name}`, e => e.card.state === state);
+		});
+		for (const days of [1, 7, 30]) {
+			choose(`Failed in the last ${days} day${days !== 1 ? 's' : ''}`, e => failedWithin(readReviewLog(e.lineItem, e.keys), days, now));
+		}
+		choose('All cards', () => true);
+
+		this._showPicker(choices, 'Cram which cards?');
+	}
+
+	/**
+	 * Second step of cram: choose whether ratings change schedules, then start.
+	 * @param {string} label - the chosen scope
+	 * @param {(entry: CardEntry) => boolean} test
+	 * @param {CardEntry[]} allCards
+	 */
+	_pickCramMode(label, test, allCards) {
+		const count = allCards.filter(test).length;
+		if (count === 0) {
+			this.ui.addToaster({
+				title: 'Nothing to cram',
+				message: `No cards match "${label}".`,
+				dismissible: true,
+				autoDestroyTime: 4000,
+			});
+			return;
 		}
 
-		// Sort: oldest due first
-		dueCards.sort((a, b) => a.card.due.getTime() - b.card.due.getTime());
-		return dueCards;
+		const start = (/** @type {boolean} */ reschedule) => this._startPracticeSession({
+			title: `Cram: ${label}`,
+			cram: { label, test, reschedule },
+		});
+		this._showPicker(
+			[
+				{ label: "Don't change schedules", onSelected: () => start(false) },
+				{ label: 'Reschedule cards that are due', onSelected: () => start(true) },
+			],
+			`Cram ${count} card${count !== 1 ? 's' : ''}…`,
+		);
+	}
+
+	/**
+	 * Collect the cards of a cram session, regardless of due date. Suspended
+	 * and buried cards are left out; daily limits don't apply.
+	 * @param {CramOptions} cram
+	 * @param {object} [opts]
+	 * @param {Set<string>} [opts.recordGuids] - if provided, only include cards from these records
+	 * @returns {Promise<{ cards: CardEntry[], heldNew: number, heldReviews: number }>}
+	 */
+	async _collectCramCards(cram, { recordGuids } = {}) {
+		const allCards = await this._collectAllCards();
+		this._dueLoad = countDueByDay(allCards);
+		const cards = allCards.filter(e => (!recordGuids || recordGuids.has(e.recordGuid)) && inRotation(e) && cram.test(e));
+		cards.sort((a, b) => a.card.due.getTime() - b.card.due.getTime());
+		return { cards: this._orderSession(cards), heldNew: 0, heldReviews: 0 };
 	}
 
 	// ── Render practice panel ─────────────────────────────────────────────
@@ -778,9 +3531,17 @@ export class Plugin extends AppPlugin {
 
 		// Fetch due cards if we don't have them yet (e.g., panel restored)
 		if (!this._dueCards) {
-			this._dueCards = await this._collectDueCards({ recordGuids: this._practiceRecordGuids });
+			const recordGuids = this._practiceRecordGuids || undefined;
+			const { cards, heldNew, heldReviews } = this._cram
+				? await this._collectCramCards(this._cram, { recordGuids })
+				: await this._collectDueCards({ recordGuids });
+			this._dueCards = cards;
+			this._learningQueue = /** @type {CardEntry[]} */ ([]);
+			this._undoStack = [];
+			this._practiceHeld = { new: heldNew, reviews: heldReviews };
 			this._practiceIndex = 0;
 			this._practiceRevealed = false;
+			this._cardShownAt = Date.now();
 			this._practiceStats = { again: 0, hard: 0, good: 0, easy: 0 };
 		}
 
@@ -800,6 +3561,11 @@ export class Plugin extends AppPlugin {
 		this._keyHandler = (e) => this._handleKey(e, panel);
 		document.addEventListener('keydown', this._keyHandler);
 
+		// Undo button — delegated, as it appears on several screens
+		container.addEventListener('click', (e) => {
+			if (/** @type {HTMLElement} */ (e.target).closest('.flashcard-undo-btn')) this._undoRating();
+		});
+
 		this._panelEl = container;
 		this._panel = panel;
 		this._renderCurrentCard();
@@ -809,22 +3575,71 @@ export class Plugin extends AppPlugin {
 		const container = this._panelEl;
 		if (!container) return;
 
+		this._clearWaitTimer();
 		const cards = this._dueCards || [];
 		const idx = this._practiceIndex || 0;
 		const total = cards.length;
+		const learning = this._learningQueue || [];
+		const undoHTML = this._undoStack?.length
+			? '<button class="flashcard-mode-toggle flashcard-undo-btn" title="Undo last rating (U or Ctrl+Z)">↶ Undo</button>'
+			: '';
 
 		container.innerHTML = '';
 
 		// Scope subtitle (shown when practicing a specific note or collection)
 		const scopeTitle = this._practiceTitle && this._practiceTitle !== 'Practice Flashcards'
-			? this._practiceTitle.replace(/^Practice:\s*/, '')
+			? this._practiceTitle.replace(/^(Practice|Cram):\s*/, '')
 			: null;
+		const cramNote = this._cram
+			? ` · Cram, ${this._cram.reschedule ? 'only due cards rescheduled' : 'schedules unchanged'}`
+			: '';
 		const scopeHTML = scopeTitle
-			? `<div class="flashcard-scope" style="text-align:center;opacity:0.5;font-size:13px;margin-bottom:8px;">Scope: <strong>${esc(scopeTitle)}</strong></div>`
+			? `<div class="flashcard-scope" style="text-align:center;opacity:0.5;font-size:13px;margin-bottom:8px;">Scope: <strong>${esc(scopeTitle)}</strong>${esc(cramNote)}</div>`
 			: '';
 
+		// Cards held back by the daily limits, with a way to study them anyway
+		const held = this._practiceHeld || { new: 0, reviews: 0 };
+		const heldText = heldCardsText(held.new, held.reviews);
+		const extraNew = Math.min(held.new, 10);
+		const heldHTML = heldText ? `
+			<div class="flashcard-held">
+				<div class="flashcard-held-text">${esc(heldText)}</div>
+				<div class="flashcard-held-actions">
+					${held.new ? `<button class="flashcard-held-btn" data-raise="new" data-amount="${extraNew}">Study ${extraNew} more new today</button>` : ''}
+					${held.reviews ? `<button class="flashcard-held-btn" data-raise="reviews" data-amount="${held.reviews}">Study ${held.reviews} more review${held.reviews !== 1 ? 's' : ''} today</button>` : ''}
+				</div>
+			</div>
+		` : '';
+		const bindHeld = () => {
+			container.querySelectorAll('.flashcard-held-btn').forEach(btn => {
+				btn.addEventListener('click', () => {
+					const kind = btn.getAttribute('data-raise') === 'reviews' ? 'reviews' : 'new';
+					this._raiseTodayLimit(kind, Number(btn.getAttribute('data-amount')) || 0);
+				});
+			});
+		};
+
+		// Daily limit reached (unless every card was set aside this session)
+		const started = !!this._undoStack?.length;
+		if (total === 0 && heldText && !started) {
+			container.innerHTML = `
+				<div class="flashcard-empty">
+					<div class="flashcard-empty-emoji">🌙</div>
+					<div class="flashcard-empty-title">Daily limit reached</div>
+					${scopeHTML}
+					<div class="flashcard-empty-subtitle">
+						You've studied today's new cards and reviews.<br>
+						Limits can be changed in <strong>Flashcards: Settings</strong>.
+					</div>
+					${heldHTML}
+				</div>
+			`;
+			bindHeld();
+			return;
+		}
+
 		// No cards due
-		if (total === 0) {
+		if (total === 0 && !started) {
 			container.innerHTML = `
 				<div class="flashcard-empty">
 					<div class="flashcard-empty-emoji">🎉</div>
@@ -842,15 +3657,48 @@ export class Plugin extends AppPlugin {
 			return;
 		}
 
+		// Only learning cards left — count down to the next one
+		if (idx >= total && learning.length > 0) {
+			const nextDue = Math.min(...learning.map(e => e.card.due.getTime()));
+			container.innerHTML = `
+				<div class="flashcard-done">
+					<div class="flashcard-done-emoji">⏳</div>
+					<div class="flashcard-done-title">Next card in <span class="flashcard-countdown" id="fc-countdown"></span></div>
+					${scopeHTML}
+					<div class="flashcard-done-subtitle">${learning.length} learning card${learning.length !== 1 ? 's' : ''} will come back when ${learning.length !== 1 ? 'their steps are' : 'its step is'} due.</div>
+					<button class="flashcard-close-btn" id="fc-learn-ahead">Review now</button>
+					${undoHTML}
+				</div>
+			`;
+			const countdown = /** @type {HTMLElement} */ (container.querySelector('#fc-countdown'));
+			const tick = () => {
+				if (!container.isConnected) {
+					this._clearWaitTimer();
+					return;
+				}
+				const secs = Math.max(0, Math.ceil((nextDue - Date.now()) / 1000));
+				countdown.textContent = `${Math.floor(secs / 60)}:${String(secs % 60).padStart(2, '0')}`;
+				if (secs === 0 && this._pullDueLearning()) this._renderCurrentCard();
+			};
+			tick();
+			this._waitTimer = setInterval(tick, 1000);
+			container.querySelector('#fc-learn-ahead')?.addEventListener('click', () => {
+				this._pullDueLearning(true);
+				this._renderCurrentCard();
+			});
+			return;
+		}
+
 		// All done
 		if (idx >= total) {
 			const stats = this._practiceStats;
+			const reviewed = new Set(cards.map(e => `${e.lineItem.guid}:${e.variant}`)).size;
 			container.innerHTML = `
 				<div class="flashcard-done">
 					<div class="flashcard-done-emoji">✅</div>
 					<div class="flashcard-done-title">Session complete!</div>
 					${scopeHTML}
-					<div class="flashcard-done-subtitle">You reviewed ${total} card${total !== 1 ? 's' : ''}.</div>
+					<div class="flashcard-done-subtitle">You reviewed ${reviewed} card${reviewed !== 1 ? 's' : ''}.</div>
 					<div class="flashcard-done-stats">
 						<div class="flashcard-stat flashcard-stat--again">
 							<div class="flashcard-stat-value">${stats.again}</div>
@@ -869,9 +3717,12 @@ export class Plugin extends AppPlugin {
 							<div class="flashcard-stat-label">Easy</div>
 						</div>
 					</div>
+					${heldHTML}
 					<button class="flashcard-close-btn" id="fc-close">Close</button>
+					${undoHTML}
 				</div>
 			`;
+			bindHeld();
 			container.querySelector('#fc-close')?.addEventListener('click', () => {
 				const panel = this._panel;
 				this._cleanup();
@@ -888,7 +3739,7 @@ export class Plugin extends AppPlugin {
 		const progressPct = Math.round((idx / total) * 100);
 		const progressHTML = `
 			<div class="flashcard-progress">
-				<div class="flashcard-progress-text">${idx + 1} / ${total}</div>
+				<div class="flashcard-progress-text">${idx + 1} / ${total}${learning.length ? ` <span class="flashcard-progress-learning">+${learning.length} learning</span>` : ''}</div>
 				<div class="flashcard-progress-bar">
 					<div class="flashcard-progress-fill" style="width: ${progressPct}%"></div>
 				</div>
@@ -907,13 +3758,41 @@ export class Plugin extends AppPlugin {
 		}
 		breadcrumbHTML += `</div>`;
 
-		// Card face
-		let cardInner = `
-			<div class="flashcard-question">${esc(entry.question)}</div>
-		`;
+		// Card face — cloze cards show the sentence with the current cloze blanked,
+		// occlusion cards show the image with the asked region masked
+		let cardInner = entry.occlusion
+			? `<div class="flashcard-question">${occlusionToHTML(entry.occlusion, revealed)}</div>`
+			: entry.cloze
+			? `<div class="flashcard-question flashcard-question--cloze">${clozeToHTML(entry.cloze.parts, entry.cloze.number, revealed)}</div>`
+			: `<div class="flashcard-question">${entry.questionSegments ? this._segmentsToHTML(entry.questionSegments) : esc(entry.question)}</div>`;
+		if (entry.questionMedia) {
+			cardInner = `<div class="flashcard-question-media">${mediaToHTML(entry.questionMedia)}</div>` + cardInner;
+		}
 
-		if (revealed) {
-			const lines = entry.answerLines || [{ text: entry.answer, depth: 0 }];
+		// Cloze answers are shown in place; only children remain for the answer area
+		const lines = entry.cloze
+			? (entry.answerLines || []).filter(l => !l.inline)
+			: entry.answerLines || [{ text: entry.answer, depth: 0 }];
+
+		// Type-in mode: compare what was typed against the inline answer
+		const expected = this._typeAnswerMode ? typedAnswerFor(entry) : null;
+		const suggested = revealed && expected && this._typedAnswer !== null
+			? suggestRating(expected, this._typedAnswer)
+			: null;
+		this._suggestedGrade = suggested;
+		if (suggested) {
+			const typedHTML = this._typedAnswer.trim()
+				? diffToHTML(diffChars(expected.trim(), this._typedAnswer.trim()))
+				: '<span class="flashcard-typed-empty">(no answer)</span>';
+			cardInner += `
+				<div class="flashcard-typed">
+					<div class="flashcard-typed-label">Your answer</div>
+					<div class="flashcard-typed-diff">${typedHTML}</div>
+				</div>
+			`;
+		}
+
+		if (revealed && lines.length > 0) {
 			const isMultiline = lines.length > 1;
 			let answerHTML = '';
 			for (let i = 0; i < lines.length; i++) {
@@ -921,7 +3800,10 @@ export class Plugin extends AppPlugin {
 				const indent = line.depth * 40;
 				let cls = 'flashcard-answer-line';
 				cls += line.inline ? ' flashcard-answer-primary' : ' flashcard-answer-detail';
-				answerHTML += `<div class="${cls}" style="padding-left: ${indent}px">${esc(line.text)}</div>`;
+				const lineHTML = line.media
+					? mediaToHTML(line.media)
+					: line.segments ? this._segmentsToHTML(line.segments) : esc(line.text);
+				answerHTML += `<div class="${cls}" style="padding-left: ${indent}px">${lineHTML}</div>`;
 			}
 			cardInner += `
 				<div class="flashcard-divider"></div>
@@ -931,37 +3813,50 @@ export class Plugin extends AppPlugin {
 
 		let buttonsHTML = '';
 		if (revealed) {
-			// Compute preview to get intervals
-			const preview = f.repeat(entry.card, new Date());
-			const againCard = preview[Rating.Again].card;
-			const hardCard  = preview[Rating.Hard].card;
-			const goodCard  = preview[Rating.Good].card;
-			const easyCard  = preview[Rating.Easy].card;
+			// Compute preview to get intervals — none when cramming leaves the schedule alone
+			const preview = this._schedulerFor(entry).repeat(entry.card, new Date());
+			const interval = (/** @type {import('ts-fsrs').Grade} */ grade) => this._schedulesRating(entry, new Date())
+				? formatInterval(preview[grade].card)
+				: 'no change';
 
 			buttonsHTML = `
 					<div class="flashcard-buttons">
-						<button class="flashcard-btn flashcard-btn--again" data-grade="1">
+						<button class="flashcard-btn flashcard-btn--again${suggested === 1 ? ' flashcard-btn--suggested' : ''}" data-grade="1">
 							<span class="flashcard-btn-tooltip">Press <kbd>1</kbd></span>
 							<span class="flashcard-btn-label">Again</span>
-							<span class="flashcard-btn-interval">${formatInterval(againCard)}</span>
+							<span class="flashcard-btn-interval">${interval(Rating.Again)}</span>
 						</button>
-						<button class="flashcard-btn flashcard-btn--hard" data-grade="2">
+						<button class="flashcard-btn flashcard-btn--hard${suggested === 2 ? ' flashcard-btn--suggested' : ''}" data-grade="2">
 							<span class="flashcard-btn-tooltip">Press <kbd>2</kbd></span>
 							<span class="flashcard-btn-label">Hard</span>
-							<span class="flashcard-btn-interval">${formatInterval(hardCard)}</span>
+							<span class="flashcard-btn-interval">${interval(Rating.Hard)}</span>
 						</button>
-						<button class="flashcard-btn flashcard-btn--good" data-grade="3">
+						<button class="flashcard-btn flashcard-btn--good${suggested === 3 ? ' flashcard-btn--suggested' : ''}" data-grade="3">
 							<span class="flashcard-btn-tooltip">Press <kbd>3</kbd></span>
 							<span class="flashcard-btn-label">Good</span>
-							<span class="flashcard-btn-interval">${formatInterval(goodCard)}</span>
+							<span class="flashcard-btn-interval">${interval(Rating.Good)}</span>
 						</button>
-						<button class="flashcard-btn flashcard-btn--easy" data-grade="4">
+						<button class="flashcard-btn flashcard-btn--easy${suggested === 4 ? ' flashcard-btn--suggested' : ''}" data-grade="4">
 							<span class="flashcard-btn-tooltip">Press <kbd>4</kbd></span>
 							<span class="flashcard-btn-label">Easy</span>
-							<span class="flashcard-btn-interval">${formatInterval(easyCard)}</span>
+							<span class="flashcard-btn-interval">${interval(Rating.Easy)}</span>
 						</button>
 					</div>
 				`;
+			if (suggested) {
+				buttonsHTML += `
+					<div class="flashcard-shortcuts">
+						Press <kbd>Enter</kbd> to accept the suggested rating
+					</div>
+				`;
+			}
+		} else if (expected) {
+			buttonsHTML = `
+				<input class="flashcard-type-input" type="text" placeholder="Type the answer" autocomplete="off" autocapitalize="off" spellcheck="false">
+				<div class="flashcard-shortcuts">
+					Press <kbd>Enter</kbd> to check your answer
+				</div>
+			`;
 		} else {
 			buttonsHTML = `
 				<div class="flashcard-shortcuts">
@@ -970,45 +3865,65 @@ export class Plugin extends AppPlugin {
 			`;
 		}
 
+		const modeHTML = `
+			<div class="flashcard-mode">
+				<button class="flashcard-mode-toggle" id="fc-type-toggle">Type-in answers: ${this._typeAnswerMode ? 'on' : 'off'}</button>
+				<button class="flashcard-mode-toggle" id="fc-flag" title="Cycle flag color (F)">Flag</button>
+				<button class="flashcard-mode-toggle" id="fc-bury" title="Skip until tomorrow (B)">Bury</button>
+				<button class="flashcard-mode-toggle" id="fc-suspend" title="Leave out of practice (S)">Suspend</button>
+				${undoHTML}
+			</div>
+		`;
+
 		container.innerHTML = `
 			${progressHTML}
 			${breadcrumbHTML}
 			<div class="flashcard-card" id="fc-card">
+				${entry.changed ? '<span class="flashcard-changed" title="The question or answer changed since the last review. Rating it keeps its schedule; reset it from the dashboard to start over.">Edited</span>' : ''}
+				${flagHTML(entry.status.flag)}
 				${cardInner}
 			</div>
 			${buttonsHTML}
+			${modeHTML}
 		`;
 
 		// Event listeners — breadcrumb note link
 		const noteLink = container.querySelector('.flashcard-breadcrumb-note');
 		if (noteLink) {
-			noteLink.addEventListener('click', async (e) => {
+			noteLink.addEventListener('click', (e) => {
 				e.preventDefault();
 				e.stopPropagation();
 				const guid = noteLink.getAttribute('data-record-guid');
-				if (!guid) return;
-				const wsGuid = this.getWorkspaceGuid();
-				const newPanel = await this.ui.createPanel({ afterPanel: this._panel });
-				if (newPanel) {
-					setTimeout(() => {
-						newPanel.navigateTo({
-							type: 'edit_panel',
-							rootId: guid,
-							subId: null,
-							workspaceGuid: wsGuid,
-						});
-					}, 0);
-				}
+				if (guid) this._openRecordInSplit(guid, this._panel);
 			});
 		}
 
-		if (!revealed) {
-			container.querySelector('#fc-card')?.addEventListener('click', () => {
-				this._practiceRevealed = true;
-				this._renderCurrentCard();
+		// Refs and links on the card face — don't let them reveal the card
+		container.querySelectorAll('.flashcard-ref').forEach(ref => {
+			ref.addEventListener('click', (e) => {
+				e.preventDefault();
+				e.stopPropagation();
+				const guid = ref.getAttribute('data-record-guid');
+				if (guid) this._openRecordInSplit(guid, this._panel);
 			});
+		});
+		container.querySelectorAll('.flashcard-link, .flashcard-media--audio, .flashcard-media--video').forEach(link => {
+			link.addEventListener('click', (e) => e.stopPropagation());
+		});
+
+		if (!revealed) {
+			container.querySelector('#fc-card')?.addEventListener('click', () => this._revealCard());
 		}
 
+		container.querySelector('#fc-type-toggle')?.addEventListener('click', () => this.toggleTypeAnswerMode());
+		container.querySelector('#fc-flag')?.addEventListener('click', () => this._cycleCurrentFlag());
+		container.querySelector('#fc-bury')?.addEventListener('click', () => this._setAsideCurrent('buried'));
+		container.querySelector('#fc-suspend')?.addEventListener('click', () => this._setAsideCurrent('suspended'));
+
+		/** @type {HTMLInputElement | null} */
+		const typeInput = container.querySelector('.flashcard-type-input');
+		if (typeInput) typeInput.focus();
+
 		container.querySelectorAll('.flashcard-btn').forEach(btn => {
 			btn.addEventListener('click', () => {
 				const grade = Number(btn.getAttribute('data-grade'));
@@ -1019,6 +3934,34 @@ export class Plugin extends AppPlugin {
 		});
 	}
 
+	/**
+	 * Reveal the current card, capturing the typed answer in type-in mode.
+	 */
+	_revealCard() {
+		/** @type {HTMLInputElement | null | undefined} */
+		const input = this._panelEl?.querySelector('.flashcard-type-input');
+		this._typedAnswer = input ? input.value : null;
+		this._practiceRevealed = true;
+		this._renderCurrentCard();
+	}
+
+	/**
+	 * Switch type-in answers on or off. The current card is re-rendered unless
+	 * it has already been revealed.
+	 */
+	toggleTypeAnswerMode() {
+		this._typeAnswerMode = !this._typeAnswerMode;
+		this.ui.addToaster({
+			title: `Type-in answers ${this._typeAnswerMode ? 'on' : 'off'}`,
+			message: this._typeAnswerMode
+				? 'Type each answer to check it before grading.'
+				: 'Reveal answers and grade yourself.',
+			dismissible: true,
+			autoDestroyTime: 2500,
+		});
+		if (this._panelEl?.isConnected && !this._practiceRevealed) this._renderCurrentCard();
+	}
+
 	/**
 	 * Handle keyboard input during practice.
 	 * @param {KeyboardEvent} e
@@ -1037,6 +3980,27 @@ export class Plugin extends AppPlugin {
 
 		const cards = this._dueCards || [];
 		const idx = this._practiceIndex || 0;
+		const target = /** @type {HTMLElement | null} */ (e.target);
+		const typing = !!target?.classList?.contains('flashcard-type-input');
+
+		// Undo the last rating — U, or Ctrl/Cmd+Z outside the answer input
+		const key = e.key.toLowerCase();
+		const isUndo = e.ctrlKey || e.metaKey ? key === 'z' && !e.shiftKey : key === 'u' && !e.altKey;
+		if (isUndo && !typing && this._undoStack?.length) {
+			e.preventDefault();
+			this._undoRating();
+			return;
+		}
+
+		// Waiting for learning cards — Space reviews the next one now
+		if (idx >= cards.length && this._learningQueue?.length) {
+			if (e.code === 'Space' || e.key === ' ') {
+				e.preventDefault();
+				this._pullDueLearning(true);
+				this._renderCurrentCard();
+			}
+			return;
+		}
 
 		// Session complete screen — Space closes the panel
 		if (idx >= cards.length) {
@@ -1049,12 +4013,37 @@ export class Plugin extends AppPlugin {
 			return;
 		}
 
+		// While typing an answer, only Enter is ours — everything else is text
+		if (typing) {
+			if (e.key === 'Enter') {
+				e.preventDefault();
+				this._revealCard();
+			}
+			return;
+		}
+
+		// Flag, bury or suspend the current card
+		if (!e.ctrlKey && !e.metaKey && !e.altKey) {
+			if (key === 'f') {
+				e.preventDefault();
+				this._cycleCurrentFlag();
+				return;
+			}
+			if (key === 'b' || key === 's') {
+				e.preventDefault();
+				this._setAsideCurrent(key === 'b' ? 'buried' : 'suspended');
+				return;
+			}
+		}
+
 		if (!this._practiceRevealed) {
 			if (e.code === 'Space' || e.key === ' ') {
 				e.preventDefault();
-				this._practiceRevealed = true;
-				this._renderCurrentCard();
+				this._revealCard();
 			}
+		} else if (e.key === 'Enter' && this._suggestedGrade) {
+			e.preventDefault();
+			this._rateCard(this._suggestedGrade);
 		} else {
 			const keyMap = { '1': Rating.Again, '2': Rating.Hard, '3': Rating.Good, '4': Rating.Easy };
 			const grade = keyMap[e.key];
@@ -1076,26 +4065,170 @@ export class Plugin extends AppPlugin {
 
 		const entry = cards[idx];
 		const now = new Date();
+		const undo = this._undoSnapshot(entry, grade);
 
-		// Apply FSRS
-		const result = f.next(entry.card, now, grade);
-		const newCard = result.card;
-
-		// Persist to line item
-		await cardToMeta(entry.lineItem, newCard);
+		if (this._schedulesRating(entry, now)) {
+			undo.loadDay = await this._applyRating(entry, grade, now);
+		} else {
+			// Cramming: nothing is written, so there's nothing to restore on undo.
+			// Forgotten cards come round again at the end of the session.
+			undo.meta = null;
+			if (grade === Rating.Again) this._dueCards = [...cards, entry];
+		}
+		this._undoStack.push(undo);
 
 		// Update stats
-		const statKey = { [Rating.Again]: 'again', [Rating.Hard]: 'hard', [Rating.Good]: 'good', [Rating.Easy]: 'easy' };
-		if (this._practiceStats && statKey[grade]) {
-			this._practiceStats[statKey[grade]]++;
+		if (this._practiceStats && STAT_KEYS[grade]) {
+			this._practiceStats[STAT_KEYS[grade]]++;
 		}
 
-		// Advance
+		// Advance, showing any learning card that has come due first
 		this._practiceIndex = idx + 1;
+		this._pullDueLearning();
+		this._practiceRevealed = false;
+		this._typedAnswer = null;
+		this._cardShownAt = Date.now();
+		this._renderCurrentCard();
+	}
+
+	/**
+	 * Whether rating a card updates its schedule: always, except when
+	 * cramming — then only for cards that were due anyway, if chosen.
+	 * @param {CardEntry} entry
+	 * @param {Date} now
+	 * @returns {boolean}
+	 */
+	_schedulesRating(entry, now) {
+		return !this._cram || (this._cram.reschedule && entry.card.due <= now);
+	}
+
+	/**
+	 * Schedule a rated card with FSRS, save it with a review log entry and
+	 * queue it again if a learning step is due later today.
+	 * @param {CardEntry} entry
+	 * @param {import('ts-fsrs').Grade} grade
+	 * @param {Date} now
+	 * @returns {Promise<string | null>} the day added to the session's due load, if any
+	 */
+	async _applyRating(entry, grade, now) {
+		const scheduler = this._schedulerFor(entry);
+		const result = scheduler.next(entry.card, now, grade);
+		let newCard = result.card;
+
+		// Land fuzzed reviews on the lightest day in range
+		let loadDay = null;
+		if (this._settings.load_balance && this._settings.enable_fuzz && this._dueLoad) {
+			newCard = balanceDue(newCard, now, this._dueLoad, scheduler.parameters.maximum_interval);
+			loadDay = dayKey(newCard.due);
+			this._dueLoad.set(loadDay, (this._dueLoad.get(loadDay) || 0) + 1);
+		}
+
+		// Cards forgotten too often become leeches, and are optionally suspended
+		const leech = isLeechLapse(entry.card.lapses, newCard.lapses, this._settings.leech_threshold);
+		/** @type {Partial<import('./lib.js').CardStatus>} */
+		const leechStatus = leech ? { leech: true, ...(this._settings.leech_suspend ? { suspended: true } : {}) } : {};
+
+		// Persist to line item, appending to the card's review log
+		await entry.lineItem.setMetaProperties({
+			...cardToMetaProps(newCard, entry.keys),
+			...appendReviewLogProps(entry.lineItem, {
+				review: now,
+				rating: grade,
+				state: result.log.state,
+				elapsed_days: result.log.elapsed_days,
+				duration: now.getTime() - (this._cardShownAt || now.getTime()),
+			}, entry.keys),
+			...cardStatusProps(leechStatus, entry.keys),
+			...fingerprintProps(entry),
+		});
+		entry.status = { ...entry.status, ...leechStatus };
+		entry.changed = false;
+		if (leech) this._notifyLeech(entry, newCard.lapses);
+
+		// Learning steps due later today come back in this session
+		if (isSessionLearning(newCard, now) && !entry.status.suspended) {
+			this._learningQueue = this._learningQueue || [];
+			this._learningQueue.push({ ...entry, card: newCard });
+		}
+		return loadDay;
+	}
+
+	/**
+	 * Remember the session and the current card's meta before changing it, for
+	 * undo. Push the result onto `_undoStack` once the change is saved.
+	 * @param {CardEntry} entry - the current card
+	 * @param {number | null} grade - the rating given, or null for bury/suspend
+	 */
+	_undoSnapshot(entry, grade) {
+		return {
+			entry,
+			grade,
+			/** @type {Record<string, any> | null} */
+			meta: metaSnapshot(entry.lineItem, entry.keys),
+			status: { ...entry.status },
+			changed: entry.changed,
+			dueCards: [...(this._dueCards || [])],
+			learningQueue: [...(this._learningQueue || [])],
+			index: this._practiceIndex || 0,
+			/** @type {string | null} */
+			loadDay: null,
+		};
+	}
+
+	/**
+	 * Undo the last rating (or bury/suspend) of this session: restore the
+	 * card's previous meta (dropping the review log entry), roll back the
+	 * stats and queue, and show the card again.
+	 */
+	async _undoRating() {
+		const last = this._undoStack?.pop();
+		if (!last) return;
+
+		if (last.meta) await last.entry.lineItem.setMetaProperties(last.meta);
+		last.entry.status = last.status;
+		last.entry.changed = last.changed;
+
+		// The rating no longer lands on the day it was balanced onto
+		if (last.loadDay && this._dueLoad) {
+			this._dueLoad.set(last.loadDay, Math.max(0, (this._dueLoad.get(last.loadDay) || 0) - 1));
+		}
+
+		const statKey = STAT_KEYS[last.grade];
+		if (this._practiceStats && statKey && this._practiceStats[statKey] > 0) {
+			this._practiceStats[statKey]--;
+		}
+
+		this._dueCards = last.dueCards;
+		this._learningQueue = last.learningQueue;
+		this._practiceIndex = last.index;
 		this._practiceRevealed = false;
+		this._typedAnswer = null;
+		this._cardShownAt = Date.now();
 		this._renderCurrentCard();
 	}
 
+	/**
+	 * Move the learning card due soonest into the session as the next card,
+	 * if it's due (or regardless, to review ahead).
+	 * @param {boolean} [ahead=false] - take the soonest card even if not yet due
+	 * @returns {boolean} whether a card was moved
+	 */
+	_pullDueLearning(ahead = false) {
+		const queue = this._learningQueue || [];
+		const i = nextDueLearning(queue, ahead ? new Date(8.64e15) : new Date());
+		if (i < 0 || !this._dueCards) return false;
+		const [entry] = queue.splice(i, 1);
+		this._dueCards.splice(this._practiceIndex || 0, 0, entry);
+		return true;
+	}
+
+	_clearWaitTimer() {
+		if (this._waitTimer) {
+			clearInterval(this._waitTimer);
+			this._waitTimer = null;
+		}
+	}
+
 	/**
 	 * Clean up event listeners and state.
 	 */
@@ -1104,17 +4237,32 @@ export class Plugin extends AppPlugin {
 			document.removeEventListener('keydown', this._keyHandler);
 			this._keyHandler = null;
 		}
+		this._clearWaitTimer();
 		this._dueCards = null;
+		this._learningQueue = null;
+		this._undoStack = null;
+		this._practiceHeld = null;
 		this._practiceIndex = 0;
 		this._practiceRevealed = false;
+		this._typedAnswer = null;
+		this._cardShownAt = null;
 		this._practiceStats = null;
 		this._practiceTitle = null;
 		this._practiceRecordGuids = null;
+		this._cram = null;
+		this._dueLoad = null;
 		this._panelEl = null;
 		this._panel = null;
 	}
 
 	onUnload() {
 		this._cleanup();
+		this._cardIndex = null;
+		this._noteStamps = null;
+		this._staleRecords = null;
+		clearInterval(this._autoDetectTimer);
+		this._autoDetectTimer = null;
+		this._autoDetectItem?.remove();
+		this._autoDetectItem = null;
 	}
 }
\ No newline at end of file